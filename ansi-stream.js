@@ -0,0 +1,374 @@
+// ANSI-aware output stream for hyper-session-sidebar
+// Turns a session's raw pty output into clean lines for the detectors. Escape
+// sequences become structured events (SGR colors, OSC payloads, cursor moves,
+// erases) instead of text, a sequence split across two chunks is completed
+// with the next one, and each line is rebuilt the way the terminal shows it:
+// carriage returns and cursor moves overwrite, erase-line clears, and a line
+// is complete at a newline or when the cursor leaves its row.
+
+const CARRY_LIMIT = 4096;   // Max bytes of an unfinished escape sequence held for the next chunk
+const LINE_LIMIT = 1024;    // Columns kept per line
+const RAW_LIMIT = 8192;     // Raw bytes kept per line (a `\r` progress bar never ends its line)
+
+// Text without control characters
+const PRINTABLE_REGEX = /[^\x00-\x1f\x7f]+/y;
+
+// CSI finals that move the cursor to another row (the line it leaves is complete)
+const ROW_MOVES = new Set(['A', 'B', 'E', 'F', 'H', 'f', 'd']);
+
+/**
+ * Create the stream state for a session
+ * @returns {Object}
+ */
+const createAnsiStream = () => ({
+  carry: '',       // Unfinished escape sequence from the previous chunk
+  cells: [],       // Characters of the current line by column
+  styles: [],      // SGR style of each cell (null = default)
+  col: 0,          // Cursor column
+  raw: '',         // Raw bytes of the current line, escapes included
+  style: null,     // Current SGR style: { fg, bg, bold, dim, italic, underline, inverse }
+  dirty: false,    // The current line was written to in this chunk
+});
+
+// Set or clear one SGR attribute; styles are replaced, never mutated, so
+// cells can share them and spans compare by reference
+const withStyle = (style, changes) => {
+  const next = { ...(style || {}), ...changes };
+  Object.keys(next).forEach((key) => {
+    if (next[key] === null || next[key] === false) delete next[key];
+  });
+  return Object.keys(next).length > 0 ? next : null;
+};
+
+// Extended color after 38/48: 5;n (256 colors) or 2;r;g;b (truecolor)
+const readExtendedColor = (params, index) => {
+  if (params[index + 1] === 5) return { color: params[index + 2], next: index + 3 };
+  if (params[index + 1] === 2) {
+    const hex = params.slice(index + 2, index + 5).map(value => (value || 0).toString(16).padStart(2, '0')).join('');
+    return { color: `#${hex}`, next: index + 5 };
+  }
+  return { color: null, next: index + 2 };
+};
+
+/**
+ * Apply SGR parameters to a style
+ * Colors: 0-15 for the ANSI palette (bright colors are 8-15), 16-255 for the
+ * 256-color palette, '#rrggbb' for truecolor
+ * @param {Object|null} style - Current style
+ * @param {string} paramText - Parameters of `ESC [ ... m`
+ * @returns {Object|null} - New style
+ */
+const applySgr = (style, paramText) => {
+  const params = paramText.split(/[;:]/).map(value => (value === '' ? 0 : parseInt(value, 10)));
+  let next = style;
+  let i = 0;
+  while (i < params.length) {
+    const p = params[i];
+    if (p === 0) next = null;
+    else if (p === 1) next = withStyle(next, { bold: true });
+    else if (p === 2) next = withStyle(next, { dim: true });
+    else if (p === 3) next = withStyle(next, { italic: true });
+    else if (p === 4) next = withStyle(next, { underline: true });
+    else if (p === 7) next = withStyle(next, { inverse: true });
+    else if (p === 22) next = withStyle(next, { bold: null, dim: null });
+    else if (p === 23) next = withStyle(next, { italic: null });
+    else if (p === 24) next = withStyle(next, { underline: null });
+    else if (p === 27) next = withStyle(next, { inverse: null });
+    else if (p >= 30 && p <= 37) next = withStyle(next, { fg: p - 30 });
+    else if (p === 39) next = withStyle(next, { fg: null });
+    else if (p >= 40 && p <= 47) next = withStyle(next, { bg: p - 40 });
+    else if (p === 49) next = withStyle(next, { bg: null });
+    else if (p >= 90 && p <= 97) next = withStyle(next, { fg: p - 90 + 8 });
+    else if (p >= 100 && p <= 107) next = withStyle(next, { bg: p - 100 + 8 });
+    else if (p === 38 || p === 48) {
+      const { color, next: after } = readExtendedColor(params, i);
+      next = withStyle(next, { [p === 38 ? 'fg' : 'bg']: color });
+      i = after;
+      continue;
+    }
+    i += 1;
+  }
+  return next;
+};
+
+// Snapshot of the current line: { text, raw, spans }
+// text: what the terminal shows (unwritten columns are spaces, trailing blanks dropped)
+// spans: runs of styled text as string offsets into text, [{ start, end, ...style }]
+const getLine = (stream) => {
+  let text = '';
+  const spans = [];
+  let current = null;
+  for (let i = 0; i < stream.cells.length; i++) {
+    const ch = stream.cells[i] || ' ';
+    const style = stream.styles[i] || null;
+    if (current && current.style === style) {
+      current.end = text.length + ch.length;
+    } else {
+      current = style ? { style, start: text.length, end: text.length + ch.length } : null;
+      if (current) spans.push(current);
+    }
+    text += ch;
+  }
+  text = text.replace(/\s+$/, '');
+  return {
+    text,
+    raw: stream.raw,
+    spans: spans
+      .filter(span => span.start < text.length)
+      .map(span => ({ start: span.start, end: Math.min(span.end, text.length), ...span.style })),
+  };
+};
+
+// Write printable text at the cursor, overwriting what is there
+const putText = (stream, text) => {
+  for (const ch of text) {
+    if (stream.col < LINE_LIMIT) {
+      stream.cells[stream.col] = ch;
+      stream.styles[stream.col] = stream.style;
+    }
+    stream.col += 1;
+  }
+  stream.dirty = true;
+};
+
+// Blank columns [from, to) of the current line
+const eraseCells = (stream, from, to) => {
+  const end = Math.min(to, stream.cells.length);
+  for (let i = Math.max(0, from); i < end; i++) {
+    stream.cells[i] = undefined;
+    stream.styles[i] = null;
+  }
+  // Drop trailing blanks so the line does not keep its old length
+  while (stream.cells.length > 0 && stream.cells[stream.cells.length - 1] === undefined) {
+    stream.cells.pop();
+    stream.styles.pop();
+  }
+  stream.dirty = true;
+};
+
+// The current line is complete: emit it (unless the cursor left an empty line) and start a new one
+const endLine = (stream, lines, always) => {
+  const line = getLine(stream);
+  if (always || line.text) lines.push(line);
+  stream.cells = [];
+  stream.styles = [];
+  stream.col = 0;
+  stream.raw = '';
+  stream.dirty = false;
+};
+
+// Handle a complete CSI sequence
+const handleCsi = (stream, params, final, lines, events) => {
+  const values = params.replace(/^[?>=<]/, '').split(';');
+  const count = Math.max(1, parseInt(values[0], 10) || 1);
+  const mode = parseInt(values[0], 10) || 0;
+
+  switch (final) {
+  case 'm':
+    if (/^[?>=<]/.test(params)) break;  // Private sequences such as xterm's ESC [ > 4 ; 2 m
+    stream.style = applySgr(stream.style, params);
+    events.push({ type: 'sgr', params, style: stream.style });
+    return;
+  case 'K':
+    // Erase in line: 0 = to the end, 1 = to the cursor, 2 = all
+    if (mode === 0) eraseCells(stream, stream.col, LINE_LIMIT);
+    else if (mode === 1) eraseCells(stream, 0, stream.col + 1);
+    else eraseCells(stream, 0, LINE_LIMIT);
+    events.push({ type: 'erase', target: 'line', mode });
+    return;
+  case 'J':
+    // Erase in display: only the current line is kept, so it is cleared like K
+    if (mode === 0) eraseCells(stream, stream.col, LINE_LIMIT);
+    else if (mode === 1) eraseCells(stream, 0, stream.col + 1);
+    else eraseCells(stream, 0, LINE_LIMIT);
+    events.push({ type: 'erase', target: 'screen', mode });
+    return;
+  case 'X':
+    eraseCells(stream, stream.col, stream.col + count);
+    events.push({ type: 'erase', target: 'chars', mode: count });
+    return;
+  case 'P':
+    // Delete characters, shifting the rest of the line left
+    stream.cells.splice(stream.col, count);
+    stream.styles.splice(stream.col, count);
+    stream.dirty = true;
+    events.push({ type: 'erase', target: 'chars', mode: count });
+    return;
+  case 'C':
+    stream.col += count;
+    events.push({ type: 'cursor', final, params });
+    return;
+  case 'D':
+    stream.col = Math.max(0, stream.col - count);
+    events.push({ type: 'cursor', final, params });
+    return;
+  case 'G':
+  case '`':
+    stream.col = count - 1;
+    events.push({ type: 'cursor', final, params });
+    return;
+  default:
+    break;
+  }
+
+  if (ROW_MOVES.has(final)) {
+    // The line the cursor leaves stays on screen as it is
+    endLine(stream, lines, false);
+    if (final === 'H' || final === 'f') {
+      stream.col = Math.max(0, (parseInt(values[1], 10) || 1) - 1);
+    }
+    events.push({ type: 'cursor', final, params });
+    return;
+  }
+  events.push({ type: 'csi', final, params });
+};
+
+// Length of an escape sequence starting at `start` (ESC), or -1 if the chunk ends inside it
+const scanEscape = (text, start) => {
+  const kind = text[start + 1];
+  if (kind === undefined) return -1;
+
+  if (kind === '[') {
+    for (let i = start + 2; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code >= 0x40 && code <= 0x7e) return i - start + 1;
+      if (code < 0x20 || code > 0x7e) return i - start;  // Malformed - ends before the control character
+    }
+    return -1;
+  }
+
+  // OSC, DCS, SOS, PM, APC: a string ended by BEL (OSC only) or ST (ESC \)
+  if (kind === ']' || kind === 'P' || kind === 'X' || kind === '^' || kind === '_') {
+    for (let i = start + 2; i < text.length; i++) {
+      if (text[i] === '\x07' && kind === ']') return i - start + 1;
+      if (text[i] === '\x1b') {
+        if (i + 1 >= text.length) return -1;
+        return (text[i + 1] === '\\' ? i + 2 : i) - start;
+      }
+    }
+    return -1;
+  }
+
+  // Character set designation: ESC ( B and friends
+  if ('()*+-./'.includes(kind)) return start + 2 < text.length ? 3 : -1;
+  return 2;
+};
+
+// Handle a complete escape sequence
+const handleEscape = (stream, sequence, lines, events) => {
+  const kind = sequence[1];
+  if (kind === '[') {
+    const final = sequence.length > 2 ? sequence[sequence.length - 1] : '';
+    if (final >= '@' && final <= '~') {
+      handleCsi(stream, sequence.slice(2, -1), final, lines, events);
+    }
+  } else if (kind === ']') {
+    const body = sequence.slice(2).replace(/(?:\x07|\x1b\\?)$/, '');
+    const separator = body.indexOf(';');
+    events.push({
+      type: 'osc',
+      code: separator === -1 ? body : body.slice(0, separator),
+      data: separator === -1 ? '' : body.slice(separator + 1),
+    });
+  } else if (kind === 'E') {
+    endLine(stream, lines, true);  // NEL - next line
+  } else if (kind === 'M' || kind === 'D') {
+    endLine(stream, lines, false); // Reverse index / index - another row
+  } else if (kind !== 'P' && kind !== 'X' && kind !== '^' && kind !== '_') {
+    events.push({ type: 'esc', final: sequence.slice(1) });
+  }
+};
+
+/**
+ * Feed a chunk of raw output
+ * @param {Object} stream - Stream state (see createAnsiStream)
+ * @param {string} data - Raw pty output
+ * @returns {Object} - { lines, partial, events }
+ *   lines: lines completed by this chunk, [{ text, raw, spans: [{ start, end, fg, bg, bold, ... }] }]
+ *   partial: the line the cursor is on ({ text, raw, spans }) if this chunk wrote to it, else null
+ *   events: escape sequences in order: { type: 'sgr', params, style }, { type: 'osc', code, data },
+ *     { type: 'cursor', final, params }, { type: 'erase', target, mode }, { type: 'csi', final, params },
+ *     { type: 'esc', final }
+ */
+const feedAnsiStream = (stream, data) => {
+  const text = stream.carry + data;
+  stream.carry = '';
+  stream.dirty = false;
+  const lines = [];
+  const events = [];
+
+  let i = 0;
+  while (i < text.length) {
+    PRINTABLE_REGEX.lastIndex = i;
+    const run = PRINTABLE_REGEX.exec(text);
+    if (run) {
+      stream.raw += run[0];
+      putText(stream, run[0]);
+      i += run[0].length;
+      continue;
+    }
+
+    const ch = text[i];
+    if (ch === '\x1b') {
+      const length = scanEscape(text, i);
+      if (length === -1) {
+        // Finish it with the next chunk (a runaway sequence is dropped instead)
+        const rest = text.slice(i);
+        if (rest.length <= CARRY_LIMIT) stream.carry = rest;
+        break;
+      }
+      const sequence = text.slice(i, i + length);
+      stream.raw += sequence;
+      handleEscape(stream, sequence, lines, events);
+      i += length;
+      continue;
+    }
+
+    if (ch === '\n') {
+      endLine(stream, lines, true);
+    } else {
+      stream.raw += ch;
+      if (ch === '\r') {
+        stream.col = 0;
+      } else if (ch === '\b') {
+        stream.col = Math.max(0, stream.col - 1);
+      } else if (ch === '\t') {
+        stream.col = Math.min(LINE_LIMIT, (Math.floor(stream.col / 8) + 1) * 8);
+      }
+    }
+    i += 1;
+  }
+
+  if (stream.raw.length > RAW_LIMIT) {
+    stream.raw = stream.raw.slice(-RAW_LIMIT);
+  }
+
+  return { lines, partial: stream.dirty ? getLine(stream) : null, events };
+};
+
+/**
+ * The line the cursor is on, whether or not the last chunk wrote to it
+ * (e.g. a prompt waiting for input)
+ * @param {Object} stream - Stream state
+ * @returns {Object} - { text, raw, spans }
+ */
+const getCurrentLine = stream => getLine(stream);
+
+/**
+ * Clean text of a chunk: completed lines, then the partial line
+ * @param {Object} chunk - Result of feedAnsiStream
+ * @returns {string}
+ */
+const getChunkText = (chunk) => {
+  const texts = chunk.lines.map(line => line.text);
+  if (chunk.partial) texts.push(chunk.partial.text);
+  return texts.join('\n');
+};
+
+module.exports = {
+  createAnsiStream,
+  feedAnsiStream,
+  applySgr,
+  getCurrentLine,
+  getChunkText,
+};
@@ -1,5 +1,5 @@
 // AI Assistant detection module for hyper-session-sidebar
-// Extensible system for detecting Claude Code, Cursor, Copilot CLI, Aider, etc.
+// Extensible system for detecting Claude Code, Codex, Gemini CLI, Cursor, Copilot CLI, Aider, etc.
 
 // =============================================================================
 // BASE AI ASSISTANT DETECTION FRAMEWORK
@@ -10,15 +10,22 @@
  * {
  *   id: string,           // Unique identifier
  *   name: string,         // Display name
+ *   shortName: string,    // Name in the status line ("Claude: working")
  *   icon: string,         // Display icon
+ *   sidebarIcon: Object,  // { icon: Lucide icon name, color } for the session card
+ *   processNames: RegExp[],  // Foreground process names (strongest signal)
  *   spinnerChars: string[], // Spinner characters used by this assistant
  *   textPatterns: RegExp[],  // Text patterns that indicate this assistant
  *   titlePatterns: RegExp[], // Terminal title patterns
  *   uiPatterns: RegExp[],    // UI element patterns (box drawing, etc.)
  *   toolPatterns: RegExp[],  // Tool usage patterns
+ *   approvalPrompt: Object,  // Optional permission dialog parser config
+ *   exitPatterns: RegExp[],  // Output printed on exit (goodbye or resume hint)
  *   states: Object,          // State definitions with patterns
  *   thresholds: Object,      // Timing thresholds
+ *   weights: Object,         // Optional evidence weight overrides ({ text: 60 }, see EVIDENCE_WEIGHTS)
  * }
+ * Users add their own through `sessionSidebar.assistants` (see configureAssistants)
  */
 
 // =============================================================================
@@ -28,18 +35,26 @@
 const CLAUDE_ASSISTANT = {
   id: 'claude',
   name: 'Claude Code',
+  shortName: 'Claude',
   icon: '\ueb99',  // Nerd Font robot/hubot icon ()
+  sidebarIcon: { icon: 'bot', color: '#f5a623' },  // Claude orange
+
+  // Foreground process names (`claude` sets its process title; npm installs
+  // resolve to the package directory when run through node)
+  processNames: [
+    /^claude$/i,
+    /^claude-code$/i,
+  ],
 
   // Braille spinner characters used by Claude Code
   spinnerChars: ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
 
-  // Text patterns that indicate Claude Code is running
+  // Text patterns that indicate Claude Code is running - only its own UI
+  // text: prose that mentions Claude (a README, notes, a commit log) must
+  // never add up to the threshold
   textPatterns: [
-    /claude[- ]?code/i,
-    /anthropic/i,
-    /\bclaude\b.*\btool/i,
-    /\bclaude\b.*\bagent/i,
-    /powered by claude/i,
+    /Welcome to Claude Code/,                             // Welcome box
+    /\/help for help, \/status for your current setup/,  // Welcome box
   ],
 
   // Terminal title patterns (must be specific to avoid matching directory names)
@@ -64,8 +79,61 @@ const CLAUDE_ASSISTANT = {
     /Using\s+(Read|Edit|Write|Bash)/i,
   ],
 
+  // Permission dialog, e.g.
+  //   ╭────────────────────────────╮
+  //   │ Bash command               │
+  //   │   npm test                 │
+  //   │ Do you want to proceed?    │
+  //   │ ❯ 1. Yes                   │
+  //   │   2. Yes, and don't ask... │
+  //   │   3. No, and tell Claude...│
+  //   ╰────────────────────────────╯
+  approvalPrompt: {
+    hint: /Do you want|Would you like|\d\.\s/,  // Cheap pre-check before parsing
+    question: /^(?:Do you want|Would you like) .+\?$/i,
+    option: /^(?:([❯>›])\s*)?(\d)\.\s+(.+)$/,
+    // Dialog header -> tool name
+    tools: [
+      { pattern: /^Bash command/i, tool: 'Bash' },
+      { pattern: /^(?:Edit|Update) file/i, tool: 'Edit' },
+      { pattern: /^(?:Create|Write) file/i, tool: 'Write' },
+      { pattern: /^Read file/i, tool: 'Read' },
+      { pattern: /^Fetch/i, tool: 'WebFetch' },
+      { pattern: /^Web search/i, tool: 'WebSearch' },
+      { pattern: /^Tool use/i, tool: 'MCP' },
+    ],
+    // Questions that name their subject ("Do you want to make this edit to foo.js?")
+    subjects: [
+      /make this edit to (.+)\?$/i,
+      /create (.+)\?$/i,
+      /write to (.+)\?$/i,
+    ],
+    // Output that means the dialog was answered
+    resolved: [
+      /⏺/,
+      /Interrupted by user/i,
+    ],
+    // Answers that leave Claude at its input prompt (no hook follows them)
+    declined: [
+      /Interrupted by user/i,
+      /User rejected/i,
+    ],
+  },
+
+  // Printed on exit: /exit's reply and the resume hint
+  exitPatterns: [
+    /⎿\s+(?:Goodbye|Bye)!/,
+    /claude --resume [0-9a-f]{8}-/,
+  ],
+
   // State definitions
   states: {
+    'needs-approval': {
+      label: 'Needs approval',
+      color: '#fab387',  // Peach
+      animation: 'glyph-attention',
+      patterns: [],  // Detected by parseApprovalPrompt, not by line patterns
+    },
     working: {
       label: 'Working',
       color: '#a6e3a1',  // Green
@@ -114,24 +182,57 @@ const CLAUDE_ASSISTANT = {
 };
 
 // =============================================================================
-// FUTURE AI ASSISTANTS (templates for extension)
+// OTHER AI ASSISTANTS
 // =============================================================================
 
+// Cursor's terminal agent (`cursor-agent`)
 const CURSOR_ASSISTANT = {
   id: 'cursor',
-  name: 'Cursor',
+  name: 'Cursor Agent',
+  shortName: 'Cursor',
   icon: '⌘',
-  spinnerChars: [],  // TBD
+  sidebarIcon: { icon: 'mouse-pointer', color: '#b4befe' },  // Lavender
+  processNames: [/^cursor-agent$/i],
+  // None: its busy line animates the text itself ("Generating…", "Running…")
+  // and is redrawn every frame, so the working patterns stand in for a spinner
+  spinnerChars: [],
+  // Its own UI lines (anchored, so prose naming the tool does not count)
   textPatterns: [
-    /cursor\s+ai/i,
-    /cursor\s+composer/i,
+    /^[\s│┃]*Cursor Agent\b/m,
+    /^[\s│┃→>]*Plan, search, build anything/m,
   ],
-  titlePatterns: [/cursor/i],
+  titlePatterns: [/cursor[- ]agent/i],
   uiPatterns: [],
   toolPatterns: [],
+  exitPatterns: [/cursor-agent --resume/i],
   states: {
-    working: { label: 'Working', color: '#a6e3a1', animation: 'glyph-pulse', patterns: [] },
-    waiting: { label: 'Waiting', color: '#f9e2af', animation: null, patterns: [] },
+    working: {
+      label: 'Working',
+      color: '#a6e3a1',
+      animation: 'glyph-pulse',
+      patterns: [
+        /Generating[.…]/i,
+        /Running[.…]/,
+        /ctrl\+c to stop/i,
+      ],
+    },
+    thinking: {
+      label: 'Thinking',
+      color: '#cba6f7',
+      animation: 'glyph-pulse-slow',
+      patterns: [/Thinking[.…]/i],
+    },
+    waiting: {
+      label: 'Waiting',
+      color: '#f9e2af',
+      animation: null,
+      patterns: [
+        /Plan, search, build anything/i,  // Empty input box
+        /Add a follow-up/i,
+        /Run this command\?/i,            // Command approval
+        /\(y\)\s*\(enter\)/i,
+      ],
+    },
     idle: { label: 'Idle', color: '#6c7086', animation: null, patterns: [] },
   },
   thresholds: {
@@ -141,21 +242,70 @@ const CURSOR_ASSISTANT = {
   },
 };
 
+// GitHub Copilot CLI (`copilot`)
 const COPILOT_CLI_ASSISTANT = {
   id: 'copilot-cli',
   name: 'GitHub Copilot CLI',
+  shortName: 'Copilot',
   icon: '',
+  sidebarIcon: { icon: 'sparkles', color: '#a371f7' },  // GitHub purple
+  processNames: [/^copilot$/i],
+  // None: its busy indicator is not a fixed set of glyphs, but every frame of
+  // the busy line ends in "(Esc to cancel", which the working pattern matches
   spinnerChars: [],
+  // Its own UI lines (anchored, so prose naming the tool does not count)
   textPatterns: [
-    /github\s+copilot/i,
-    /gh\s+copilot/i,
+    /^[\s│┃]*Welcome to GitHub Copilot CLI/m,
+    /^[\s│┃>]*(?:Enter|Type) @ to mention files/m,  // Input box hint
   ],
-  titlePatterns: [/copilot/i],
+  titlePatterns: [/github copilot/i, /copilot cli/i, /^copilot(?:\s|$)/i],
   uiPatterns: [],
   toolPatterns: [],
+  exitPatterns: [/^\s*Total usage est:/m],  // Usage summary printed on exit
+  // Permission dialog: same layout as Claude's (question + numbered options)
+  approvalPrompt: {
+    hint: /Do you want|Allow|\d\.\s/,
+    question: /^(?:Do you want|Allow) .+\?$/i,
+    option: /^(?:([❯>›])\s*)?(\d)\.\s+(.+)$/,
+    tools: [
+      { pattern: /command/i, tool: 'Shell' },
+      { pattern: /(?:edit|write|create)/i, tool: 'Edit' },
+      { pattern: /fetch|url/i, tool: 'Fetch' },
+    ],
+    subjects: [],
+    resolved: [
+      /Esc to cancel/i,
+      /Operation cancelled/i,
+    ],
+  },
   states: {
-    working: { label: 'Working', color: '#a6e3a1', animation: 'glyph-pulse', patterns: [] },
-    waiting: { label: 'Waiting', color: '#f9e2af', animation: null, patterns: [] },
+    'needs-approval': {
+      label: 'Needs approval',
+      color: '#fab387',
+      animation: 'glyph-attention',
+      patterns: [],  // Detected by parseApprovalPrompt
+    },
+    working: {
+      label: 'Working',
+      color: '#a6e3a1',
+      animation: 'glyph-pulse',
+      patterns: [/\(Esc to cancel/i],
+    },
+    thinking: {
+      label: 'Thinking',
+      color: '#cba6f7',
+      animation: 'glyph-pulse-slow',
+      patterns: [/Thinking[.…]/i],
+    },
+    waiting: {
+      label: 'Waiting',
+      color: '#f9e2af',
+      animation: null,
+      patterns: [
+        /Enter @ to mention files/i,  // Input box hint
+        /Type @ to mention files/i,
+      ],
+    },
     idle: { label: 'Idle', color: '#6c7086', animation: null, patterns: [] },
   },
   thresholds: {
@@ -165,21 +315,194 @@ const COPILOT_CLI_ASSISTANT = {
   },
 };
 
+// Aider (aider.chat) - states come from its status lines and input prompt.
+// Waiting is checked first: a reply, its edits and the next prompt often
+// arrive in the same chunk
 const AIDER_ASSISTANT = {
   id: 'aider',
   name: 'Aider',
+  shortName: 'Aider',
   icon: '🤖',
-  spinnerChars: [],
+  sidebarIcon: { icon: 'users', color: '#14b014' },  // Aider green (pair programming)
+  processNames: [/^aider$/i],
+  // Scanner bar in the "Waiting for <model>" line ([░░█░░░░]; only the light
+  // shade - full blocks are everywhere), braille dots in versions before 0.80
+  spinnerChars: ['░', '⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
   textPatterns: [
-    /aider\s+v?\d/i,
+    /^Aider v\d/m,
     /aider\.chat/i,
+    /^Main model: .+ with \S+ edit format/m,
+  ],
+  titlePatterns: [/\baider\b/i],
+  uiPatterns: [],
+  toolPatterns: [],
+  states: {
+    waiting: {
+      label: 'Waiting',
+      color: '#f9e2af',
+      animation: null,
+      patterns: [
+        /^(?:(?:ask|code|architect|help|context|diff|multi)\s?)?>\s*$/m,  // Input prompt
+        /\(Y\)es\/\(N\)o.*\[(?:Yes|No)\]:\s*$/m,                          // Confirmation
+        /Tokens: .+ Cost: /,                                                // End of a reply
+      ],
+    },
+    working: {
+      label: 'Working',
+      color: '#a6e3a1',
+      animation: 'glyph-pulse',
+      patterns: [
+        /Waiting for \S+/,       // Spinner text while the model answers
+        /^Applied edit to /m,
+        /^Commit [0-9a-f]{7,} /m,
+        /^Running /m,
+      ],
+    },
+    idle: { label: 'Idle', color: '#6c7086', animation: null, patterns: [] },
+  },
+  thresholds: {
+    spinnerIdleTimeout: 5000,
+    idleTimeout: 30000,
+    stateDebounce: 500,
+  },
+};
+
+// OpenAI Codex CLI (`codex`)
+const CODEX_ASSISTANT = {
+  id: 'codex',
+  name: 'OpenAI Codex',
+  shortName: 'Codex',
+  icon: '◎',
+  sidebarIcon: { icon: 'aperture', color: '#10a37f' },  // OpenAI green
+  processNames: [/^codex$/i],
+  spinnerChars: [],  // Status text only (see states)
+  textPatterns: [
+    />_ OpenAI Codex/,
+    /\bOpenAI Codex \(v\d/,
+    /tell Codex what to do differently/i,
+  ],
+  titlePatterns: [/^codex(?:\s|$)/i],  // The command itself (Codex does not set a title)
+  uiPatterns: [],
+  toolPatterns: [],
+  exitPatterns: [/To continue this session, run codex resume/i],
+  // Approval prompt, not boxed - the tool is named in the question and the
+  // command follows it:
+  //   Would you like to run the following command?
+  //   $ npm test
+  //   › 1. Yes, proceed
+  //     2. Yes, and don't ask again for this command
+  //     3. No, and tell Codex what to do differently
+  approvalPrompt: {
+    hint: /Would you like|Allow Codex|\d\.\s/,
+    question: /^(?:Would you like to|Allow Codex to) .+\?$/i,
+    option: /^(?:([›❯>▌])\s*)?(\d)\.\s+(.+)$/,
+    tools: [
+      { pattern: /run the following command/i, tool: 'Shell' },
+      { pattern: /make the following edits|apply (?:these|the following) changes/i, tool: 'Edit' },
+    ],
+    subjects: [],
+    subjectLine: /^\$\s+(.+)$/,  // Command shown between question and options
+    resolved: [
+      /esc to interrupt/i,
+      /^\s*• (?:Ran|Edited|Added|Deleted) /m,
+    ],
+  },
+  states: {
+    'needs-approval': {
+      label: 'Needs approval',
+      color: '#fab387',
+      animation: 'glyph-attention',
+      patterns: [],  // Detected by parseApprovalPrompt
+    },
+    working: {
+      label: 'Working',
+      color: '#a6e3a1',
+      animation: 'glyph-pulse',
+      patterns: [/esc to interrupt/i],  // "Working (12s • esc to interrupt)"
+    },
+    waiting: {
+      label: 'Waiting',
+      color: '#f9e2af',
+      animation: null,
+      patterns: [
+        /⏎ send/,                        // Composer footer
+        /Ask Codex to do anything/i,     // Empty composer
+      ],
+    },
+    idle: { label: 'Idle', color: '#6c7086', animation: null, patterns: [] },
+  },
+  thresholds: {
+    spinnerIdleTimeout: 5000,
+    idleTimeout: 30000,
+    stateDebounce: 500,
+  },
+};
+
+// Google Gemini CLI (`gemini`)
+const GEMINI_ASSISTANT = {
+  id: 'gemini',
+  name: 'Gemini CLI',
+  shortName: 'Gemini',
+  icon: '✦',
+  sidebarIcon: { icon: 'sparkle', color: '#4285f4' },  // Google blue
+  processNames: [/^gemini$/i, /^gemini-cli$/i],
+  // Same braille dots as Claude, so they show state but never identify Gemini
+  spinnerChars: ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'],
+  textPatterns: [
+    /Type your message or @path\/to\/file/,
+    /\bgemini-[\d.]+-[\w-]+ \(\d+% context left\)/,  // Footer
+    /Using:? \d+ GEMINI\.md files?/,
+  ],
+  titlePatterns: [
+    /^Gemini - /,
+    /^[◇✦✋]\s+(?:Ready|Working|Action Required)/,  // Dynamic status title
+    /^gemini(?:\s|$)/i,
   ],
-  titlePatterns: [/aider/i],
   uiPatterns: [],
   toolPatterns: [],
+  exitPatterns: [/Agent powering down\. Goodbye!/i],  // Session summary on exit
+  // Confirmation box, e.g.
+  //   │ ?  Shell npm test [current working directory ~/app] │
+  //   │    npm test                                         │
+  //   │ Allow execution of: 'npm'?                          │
+  //   │ ● 1. Yes, allow once                                │
+  //   │   2. Yes, allow always ...                          │
+  //   │   3. No, suggest changes (esc)                      │
+  approvalPrompt: {
+    hint: /Allow execution|Apply this change|Do you want|\d\.\s/,
+    question: /^(?:Allow execution of|Apply this change|Do you want to proceed).*\?$/i,
+    option: /^(?:([●❯>›])\s*)?(\d)\.\s+(.+)$/,
+    tools: [
+      { pattern: /^\?\s+Shell\b/, tool: 'Shell' },
+      { pattern: /^\?\s+(?:Edit|WriteFile)\b/, tool: 'Edit' },
+      { pattern: /^\?\s+(?:WebFetch|Web Fetch)\b/i, tool: 'WebFetch' },
+    ],
+    subjects: [],
+    resolved: [
+      /✦/,                  // Model reply
+      /✓/,                  // Tool finished
+      /Request cancelled/i,
+    ],
+  },
   states: {
-    working: { label: 'Working', color: '#a6e3a1', animation: 'glyph-pulse', patterns: [] },
-    waiting: { label: 'Waiting', color: '#f9e2af', animation: null, patterns: [] },
+    'needs-approval': {
+      label: 'Needs approval',
+      color: '#fab387',
+      animation: 'glyph-attention',
+      patterns: [],  // Detected by parseApprovalPrompt
+    },
+    working: {
+      label: 'Working',
+      color: '#a6e3a1',
+      animation: 'glyph-pulse',
+      patterns: [/\(esc to cancel, \d+s\)/i],
+    },
+    waiting: {
+      label: 'Waiting',
+      color: '#f9e2af',
+      animation: null,
+      patterns: [/Type your message or @path\/to\/file/],  // Empty input box
+    },
     idle: { label: 'Idle', color: '#6c7086', animation: null, patterns: [] },
   },
   thresholds: {
@@ -193,62 +516,316 @@ const AIDER_ASSISTANT = {
 // REGISTERED ASSISTANTS
 // =============================================================================
 
-const AI_ASSISTANTS = [
+// Checked in order, so the most specific patterns come first: Aider prints
+// its model name (e.g. anthropic/claude-sonnet-4), which Claude's broad
+// text patterns would also match
+const BUILT_IN_ASSISTANTS = [
+  AIDER_ASSISTANT,
+  CODEX_ASSISTANT,
+  GEMINI_ASSISTANT,
+  COPILOT_CLI_ASSISTANT,
+  CURSOR_ASSISTANT,
   CLAUDE_ASSISTANT,
-  // Future: CURSOR_ASSISTANT, COPILOT_CLI_ASSISTANT, AIDER_ASSISTANT
 ];
 
-// Build lookup map
+// Active assistants: user-defined ones (see configureAssistants) ahead of
+// the built-ins. Updated in place so the exported references stay valid
+const AI_ASSISTANTS = BUILT_IN_ASSISTANTS.slice();
 const ASSISTANT_MAP = {};
-AI_ASSISTANTS.forEach(a => { ASSISTANT_MAP[a.id] = a; });
 
-// Build combined spinner regex for quick detection
-const ALL_SPINNER_CHARS = AI_ASSISTANTS.flatMap(a => a.spinnerChars);
+// Build combined spinner regex for quick detection (built-in assistants)
+const ALL_SPINNER_CHARS = BUILT_IN_ASSISTANTS.flatMap(a => a.spinnerChars);
 const SPINNER_REGEX = ALL_SPINNER_CHARS.length > 0
   ? new RegExp(`[${ALL_SPINNER_CHARS.join('')}]`)
   : /(?!)/;  // Never matches
 
+// Spinner characters only one assistant draws - a shared one (Claude and
+// Gemini both use braille dots) says nothing about which assistant it is
+const UNIQUE_SPINNER_CHARS = {};
+
+// Rebuild the lookups after AI_ASSISTANTS changes
+const indexAssistants = () => {
+  Object.keys(ASSISTANT_MAP).forEach((id) => { delete ASSISTANT_MAP[id]; });
+  Object.keys(UNIQUE_SPINNER_CHARS).forEach((id) => { delete UNIQUE_SPINNER_CHARS[id]; });
+
+  const allChars = AI_ASSISTANTS.flatMap(a => a.spinnerChars);
+  AI_ASSISTANTS.forEach((a) => {
+    ASSISTANT_MAP[a.id] = a;
+    UNIQUE_SPINNER_CHARS[a.id] = a.spinnerChars.filter(char => (
+      allChars.indexOf(char) === allChars.lastIndexOf(char)
+    ));
+  });
+};
+indexAssistants();
+
 // =============================================================================
-// DETECTION FUNCTIONS
+// USER-DEFINED ASSISTANTS (sessionSidebar.assistants)
 // =============================================================================
 
+const USER_PATTERN_FIELDS = ['processNames', 'textPatterns', 'titlePatterns', 'uiPatterns', 'toolPatterns', 'exitPatterns'];
+const USER_STATE_NAMES = ['working', 'thinking', 'waiting'];
+const DEFAULT_STATES = {
+  working: { label: 'Working', color: '#a6e3a1', animation: 'glyph-pulse' },
+  thinking: { label: 'Thinking', color: '#cba6f7', animation: 'glyph-pulse-slow' },
+  waiting: { label: 'Waiting', color: '#f9e2af', animation: null },
+  idle: { label: 'Idle', color: '#6c7086', animation: null },
+};
+const DEFAULT_THRESHOLDS = {
+  spinnerIdleTimeout: 5000,
+  idleTimeout: 30000,
+  stateDebounce: 500,
+};
+
+// The config the active assistants were built from (see getAssistantConfig)
+let assistantConfig = null;
+
+// Compile a list of regex strings (or RegExps); `flags` applies to strings.
+// Global/sticky flags are dropped - .test() must not carry state between chunks
+const compilePatternList = (list, flags, field) => {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`"${field}" must be an array of regex strings`);
+  return list.map((entry) => {
+    if (entry instanceof RegExp) return new RegExp(entry.source, entry.flags.replace(/[gy]/g, ''));
+    if (typeof entry !== 'string' || !entry) throw new Error(`"${field}" entries must be non-empty regex strings`);
+    try {
+      return new RegExp(entry, flags.replace(/[gy]/g, ''));
+    } catch (e) {
+      throw new Error(`"${field}": invalid regex ${entry} - ${e.message}`);
+    }
+  });
+};
+
 /**
- * Check if terminal output contains indicators for any AI assistant
- * @param {string} data - Terminal output data
- * @returns {{ detected: boolean, assistantId: string|null }}
+ * Build an assistant definition from a `sessionSidebar.assistants` entry
+ * { id, name, shortName, icon, color, glyph, flags, disabled, spinnerChars,
+ *   processNames, textPatterns, titlePatterns, uiPatterns, toolPatterns, exitPatterns,
+ *   states: { working|thinking|waiting: [regex] | { label, color, patterns } },
+ *   thresholds: { spinnerIdleTimeout, idleTimeout, stateDebounce },
+ *   weights: { process|title|text|tool|spinner|ui: number } }
+ * @param {Object} entry - User entry (regexes as strings, compiled with `flags`, default 'im')
+ * @param {number} index - Position in the list (for error messages)
+ * @returns {{ assistant: Object|null, error: string|null }}
  */
-const detectAIAssistant = (data) => {
-  for (const assistant of AI_ASSISTANTS) {
-    // Check spinner
-    for (const char of assistant.spinnerChars) {
-      if (data.includes(char)) {
-        return { detected: true, assistantId: assistant.id };
-      }
+const compileUserAssistant = (entry, index) => {
+  const label = entry && entry.id ? `"${entry.id}"` : `#${index + 1}`;
+  const fail = message => ({ assistant: null, error: `assistants ${label}: ${message}` });
+
+  if (!entry || typeof entry !== 'object') return fail('must be an object');
+  if (typeof entry.id !== 'string' || !entry.id) return fail('"id" is required');
+  if (entry.disabled) return { assistant: { id: entry.id, disabled: true }, error: null };
+
+  const flags = typeof entry.flags === 'string' ? entry.flags : 'im';
+  const assistant = {
+    id: entry.id,
+    name: entry.name || entry.id,
+    shortName: entry.shortName || entry.name || entry.id,
+    icon: entry.glyph || '✦',
+    sidebarIcon: { icon: entry.icon || 'bot', color: entry.color || CLAUDE_ASSISTANT.sidebarIcon.color },
+    spinnerChars: [],
+    approvalPrompt: null,
+    states: {},
+    thresholds: { ...DEFAULT_THRESHOLDS },
+    custom: true,
+  };
+
+  try {
+    if (entry.spinnerChars != null) {
+      const chars = Array.isArray(entry.spinnerChars) ? entry.spinnerChars : Array.from(String(entry.spinnerChars));
+      if (chars.some(char => typeof char !== 'string' || !char)) throw new Error('"spinnerChars" must be strings');
+      assistant.spinnerChars = chars;
     }
 
-    // Check text patterns
-    for (const pattern of assistant.textPatterns) {
-      if (pattern.test(data)) {
-        return { detected: true, assistantId: assistant.id };
-      }
+    USER_PATTERN_FIELDS.forEach((field) => {
+      assistant[field] = compilePatternList(entry[field], flags, field);
+    });
+    if (assistant.processNames.length + assistant.textPatterns.length + assistant.titlePatterns.length +
+        assistant.uiPatterns.length + assistant.toolPatterns.length + assistant.spinnerChars.length === 0) {
+      throw new Error('needs at least one of processNames, textPatterns, titlePatterns, uiPatterns, toolPatterns or spinnerChars');
     }
 
-    // Check UI patterns
-    for (const pattern of assistant.uiPatterns) {
-      if (pattern.test(data)) {
-        return { detected: true, assistantId: assistant.id };
+    // States keep the user's order - the first state whose pattern matches wins
+    const states = entry.states || {};
+    Object.keys(states).forEach((name) => {
+      if (!USER_STATE_NAMES.includes(name)) {
+        throw new Error(`unknown state "${name}" (available: ${USER_STATE_NAMES.join(', ')})`);
       }
-    }
+      const state = Array.isArray(states[name]) ? { patterns: states[name] } : (states[name] || {});
+      assistant.states[name] = {
+        label: state.label || DEFAULT_STATES[name].label,
+        color: state.color || DEFAULT_STATES[name].color,
+        animation: DEFAULT_STATES[name].animation,
+        patterns: compilePatternList(state.patterns, flags, `states.${name}`),
+      };
+    });
+    assistant.states.idle = { ...DEFAULT_STATES.idle, patterns: [] };
 
-    // Check tool patterns (more specific)
-    for (const pattern of assistant.toolPatterns) {
-      if (pattern.test(data)) {
-        return { detected: true, assistantId: assistant.id };
+    Object.keys(entry.thresholds || {}).forEach((key) => {
+      const value = Number(entry.thresholds[key]);
+      if (!DEFAULT_THRESHOLDS[key]) {
+        throw new Error(`unknown threshold "${key}" (available: ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`);
       }
-    }
+      if (!Number.isFinite(value) || value < 0) throw new Error(`threshold "${key}" must be a number of ms`);
+      assistant.thresholds[key] = value;
+    });
+
+    Object.keys(entry.weights || {}).forEach((kind) => {
+      const value = Number(entry.weights[kind]);
+      if (!EVIDENCE_WEIGHTS[kind]) {
+        throw new Error(`unknown weight "${kind}" (available: ${Object.keys(EVIDENCE_WEIGHTS).join(', ')})`);
+      }
+      if (!Number.isFinite(value) || value <= 0) throw new Error(`weight "${kind}" must be a positive number`);
+      assistant.weights = { ...assistant.weights, [kind]: value };
+    });
+  } catch (e) {
+    return fail(e.message);
   }
 
-  return { detected: false, assistantId: null };
+  return { assistant, error: null };
+};
+
+/**
+ * Apply `sessionSidebar.assistants`: user entries are checked before the
+ * built-ins, an entry with a built-in's id replaces it and `disabled: true`
+ * removes it. Invalid entries are reported and skipped, never thrown
+ * @param {Array} userAssistants - User entries (see compileUserAssistant)
+ * @returns {{ assistants: Object[], errors: string[] }}
+ */
+const configureAssistants = (userAssistants) => {
+  assistantConfig = userAssistants;
+  const errors = [];
+  const builtIns = BUILT_IN_ASSISTANTS.slice();
+  const custom = [];
+
+  if (userAssistants && !Array.isArray(userAssistants)) {
+    errors.push('assistants must be an array');
+  } else {
+    (userAssistants || []).forEach((entry, index) => {
+      const { assistant, error } = compileUserAssistant(entry, index);
+      if (error) {
+        errors.push(error);
+        return;
+      }
+
+      const builtIn = builtIns.findIndex(a => a.id === assistant.id);
+      if (custom.some(a => a.id === assistant.id)) {
+        errors.push(`assistants "${assistant.id}": duplicate id`);
+      } else if (assistant.disabled) {
+        if (builtIn === -1) {
+          errors.push(`assistants "${assistant.id}": no built-in assistant with that id to disable`);
+        } else {
+          builtIns.splice(builtIn, 1);
+        }
+      } else {
+        if (builtIn !== -1) builtIns.splice(builtIn, 1);
+        custom.push(assistant);
+      }
+    });
+  }
+
+  AI_ASSISTANTS.splice(0, AI_ASSISTANTS.length, ...custom, ...builtIns);
+  indexAssistants();
+  return { assistants: AI_ASSISTANTS, errors };
+};
+
+/**
+ * The user entries last passed to configureAssistants (null if never called)
+ * A freshly required (hot reloaded) module returns null and needs configuring
+ * @returns {Array|null}
+ */
+const getAssistantConfig = () => assistantConfig;
+
+// =============================================================================
+// DETECTION FUNCTIONS
+// =============================================================================
+
+// Evidence weights by kind. Each pattern that matches adds its kind's weight
+// once per window, so a box redrawn on every frame cannot add up on its own
+const EVIDENCE_WEIGHTS = {
+  process: 100,  // Foreground process name (conclusive)
+  title: 50,     // Terminal title
+  text: 35,      // Banner or status text
+  tool: 20,      // Tool call lines
+  spinner: 15,   // Spinner characters no other assistant uses
+  ui: 10,        // Box drawing (several TUIs look alike)
+};
+const DETECTION_THRESHOLD = 60;  // Score at which a session commits to an assistant
+const EVIDENCE_WINDOW = 10000;   // ms a piece of evidence keeps counting
+
+// Evidence keys ('text:0', 'spinner', ...) an assistant's patterns find in output/title
+const collectEvidence = (assistant, data, title) => {
+  const keys = [];
+  const collect = (kind, patterns, text) => {
+    if (!text) return;
+    patterns.forEach((pattern, index) => {
+      if (pattern.test(text)) keys.push(`${kind}:${index}`);
+    });
+  };
+
+  collect('title', assistant.titlePatterns, title);
+  collect('text', assistant.textPatterns, data);
+  collect('tool', assistant.toolPatterns, data);
+  collect('ui', assistant.uiPatterns, data);
+  if (UNIQUE_SPINNER_CHARS[assistant.id].some(char => data.includes(char))) {
+    keys.push('spinner');
+  }
+  return keys;
+};
+
+/**
+ * Score recent evidence for every assistant over a sliding window
+ * Evidence is kept on the session (session._aiEvidence), so a banner and
+ * a box drawn in separate chunks add up
+ * @param {Object} session - Session data (evidence is stored on it)
+ * @param {string} data - Latest terminal output
+ * @param {number} now - Current timestamp
+ * @returns {{ assistantId: string|null, score: number, scores: Object }} - Best assistant and all non-zero scores
+ */
+const scoreAIAssistant = (session, data, now) => {
+  const evidence = session._aiEvidence || {};
+  const scores = {};
+
+  AI_ASSISTANTS.forEach((assistant) => {
+    const seen = evidence[assistant.id] || {};
+    collectEvidence(assistant, data, session.title).forEach((key) => { seen[key] = now; });
+
+    let score = 0;
+    Object.keys(seen).forEach((key) => {
+      if (now - seen[key] > EVIDENCE_WINDOW) {
+        delete seen[key];
+      } else {
+        const kind = key.split(':')[0];
+        score += (assistant.weights && assistant.weights[kind]) || EVIDENCE_WEIGHTS[kind];
+      }
+    });
+
+    if (score > 0) {
+      evidence[assistant.id] = seen;
+      scores[assistant.id] = score;
+    } else {
+      delete evidence[assistant.id];
+    }
+  });
+  session._aiEvidence = evidence;
+
+  // Ties go to the assistant registered first (the more specific one)
+  let best = null;
+  AI_ASSISTANTS.forEach((assistant) => {
+    if ((scores[assistant.id] || 0) > (best ? scores[best] : 0)) best = assistant.id;
+  });
+  return { assistantId: best, score: best ? scores[best] : 0, scores };
+};
+
+/**
+ * Check if a single chunk of output is enough to identify an AI assistant
+ * (no sliding window - see scoreAIAssistant)
+ * @param {string} data - Terminal output data
+ * @param {string} [title] - Terminal title
+ * @returns {{ detected: boolean, assistantId: string|null, score: number }}
+ */
+const detectAIAssistant = (data, title) => {
+  const { assistantId, score } = scoreAIAssistant({ title }, data, Date.now());
+  const detected = score >= DETECTION_THRESHOLD;
+  return { detected, assistantId: detected ? assistantId : null, score };
 };
 
 /**
@@ -270,6 +847,26 @@ const detectAIAssistantFromTitle = (title) => {
   return { detected: false, assistantId: null };
 };
 
+/**
+ * Check if a foreground process is an AI assistant
+ * @param {Object} proc - Foreground process ({ name, comm, argv })
+ * @returns {{ detected: boolean, assistantId: string|null }}
+ */
+const detectAIAssistantFromProcess = (proc) => {
+  if (!proc || proc.isShell) return { detected: false, assistantId: null };
+
+  const names = [proc.name, proc.comm].filter(Boolean);
+  for (const assistant of AI_ASSISTANTS) {
+    for (const pattern of assistant.processNames || []) {
+      if (names.some(name => pattern.test(name))) {
+        return { detected: true, assistantId: assistant.id };
+      }
+    }
+  }
+
+  return { detected: false, assistantId: null };
+};
+
 /**
  * Detect if session is running any AI assistant
  * @param {Object} session - Session data
@@ -388,6 +985,168 @@ const detectAssistantState = (session, data, now) => {
   return { state: newState, spinnerPhase, shouldUpdate };
 };
 
+// =============================================================================
+// PERMISSION PROMPTS
+// =============================================================================
+
+// Escape sequences (CSI, OSC, single-character escapes)
+const ANSI_ESCAPE_REGEX = /\x1b(?:\[[0-?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+// Box-drawing borders around dialog lines
+const BOX_EDGE_REGEX = /^[\s│┃]+|[\s│┃]+$/g;
+// A dialog's top border (rounded box or a horizontal rule)
+const BOX_TOP_REGEX = /╭|^[\s─━]{8,}$/;
+
+const APPROVAL_BUFFER_LIMIT = 4096;  // Bytes of recent output kept for split dialogs
+const APPROVAL_HEADER_LOOKBACK = 15; // Lines above the question searched for the header
+
+/**
+ * Parse a permission dialog from recent terminal output
+ * @param {string} text - Recent output (escape sequences are stripped)
+ * @param {Object} prompt - Assistant approvalPrompt definition
+ * @returns {Object|null} - { tool, subject, question, options: [{ key, label, selected }] }
+ */
+const parseApprovalPrompt = (text, prompt) => {
+  if (!text || !prompt) return null;
+
+  const rawLines = text.replace(ANSI_ESCAPE_REGEX, '').split(/\r?\n|\r/);
+  const lines = rawLines.map(line => line.replace(BOX_EDGE_REGEX, ''));
+
+  // The dialog is redrawn as the selection moves - the last copy wins
+  let questionIndex = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (prompt.question.test(lines[i])) {
+      questionIndex = i;
+      break;
+    }
+  }
+  if (questionIndex === -1) return null;
+
+  // Numbered options; unnumbered lines continue a wrapped label
+  const options = [];
+  let lineSubject = null;
+  for (let i = questionIndex + 1; i < lines.length; i++) {
+    const line = lines[i];
+    const match = line.match(prompt.option);
+    if (match) {
+      options.push({ key: match[2], label: match[3].trim(), selected: !!match[1] });
+    } else if (!line || BOX_TOP_REGEX.test(rawLines[i]) || /╰/.test(rawLines[i])) {
+      if (options.length > 0) break;
+    } else if (options.length > 0) {
+      options[options.length - 1].label += ` ${line}`;
+    } else if (prompt.subjectLine && !lineSubject) {
+      // Subject printed between the question and the options (Codex)
+      const subjectMatch = line.match(prompt.subjectLine);
+      if (subjectMatch) lineSubject = subjectMatch[1];
+    }
+  }
+  if (options.length < 2) return null;
+
+  // Header is the first line of the dialog box, the subject the line below it
+  let start = Math.max(0, questionIndex - APPROVAL_HEADER_LOOKBACK);
+  for (let i = questionIndex - 1; i >= start; i--) {
+    if (BOX_TOP_REGEX.test(rawLines[i])) {
+      start = i + 1;
+      break;
+    }
+  }
+  const body = lines.slice(start, questionIndex).filter(Boolean);
+  const header = body[0] || '';
+  const question = lines[questionIndex];
+  // Unboxed dialogs name the tool in the question instead of a header
+  const toolMatch = prompt.tools.find(entry => entry.pattern.test(header) || entry.pattern.test(question));
+
+  let subject = null;
+  for (const pattern of prompt.subjects) {
+    const match = question.match(pattern);
+    if (match) {
+      subject = match[1];
+      break;
+    }
+  }
+
+  return {
+    tool: toolMatch ? toolMatch.tool : (header || null),
+    subject: lineSubject || subject || body[1] || null,
+    question,
+    options,
+  };
+};
+
+/**
+ * Split output into completed text and the line still being drawn
+ * @param {string|Object} output - Raw terminal output, or a chunk from the
+ *   ANSI stream ({ lines, partial } - see ansi-stream.js)
+ * @returns {{ complete: string, current: string }}
+ */
+const getOutputText = (output) => {
+  if (typeof output === 'string') return { complete: output, current: '' };
+  return {
+    complete: output.lines.map(line => `${line.text}\n`).join(''),
+    current: output.partial ? output.partial.text : '',
+  };
+};
+
+/**
+ * Track the permission dialog for a session
+ * Keeps a rolling buffer so a dialog split across chunks is still found,
+ * and clears session.pendingApproval once the dialog is answered
+ * @param {Object} session - Session object to update
+ * @param {string|Object} output - Raw terminal output or an ANSI stream chunk (see getOutputText)
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - Whether pendingApproval changed
+ */
+const updatePendingApproval = (session, output, now) => {
+  const assistant = ASSISTANT_MAP[session.aiAssistantId || 'claude'];
+  const prompt = assistant && assistant.approvalPrompt;
+  if (!prompt) return false;
+
+  const text = getOutputText(output);
+  const data = text.complete + text.current;
+
+  // Answered: the assistant resumed (spinner, tool output, interrupt)
+  if (session.pendingApproval &&
+      (detectSpinnerPhase(data, assistant.id) !== null || prompt.resolved.some(p => p.test(data)))) {
+    session.pendingApproval = null;
+    session._approvalBuffer = '';
+    return true;
+  }
+
+  // Only completed lines are buffered; the line still being drawn comes again
+  session._approvalBuffer = ((session._approvalBuffer || '') + text.complete).slice(-APPROVAL_BUFFER_LIMIT);
+  if (!prompt.hint.test(data)) return false;
+
+  const parsed = parseApprovalPrompt(session._approvalBuffer + text.current, prompt);
+  if (!parsed) return false;
+
+  // Start over so an answered dialog is not found again in old output
+  session._approvalBuffer = '';
+  const previous = session.pendingApproval;
+  session.pendingApproval = {
+    ...parsed,
+    assistantId: assistant.id,
+    detectedAt: previous && previous.question === parsed.question ? previous.detectedAt : now,
+  };
+  return true;
+};
+
+/**
+ * State after a permission dialog was answered: back at the prompt when it
+ * was declined (a "No" reply from the sidebar, Esc), otherwise working on
+ * the approved tool
+ * @param {Object} approval - The answered pendingApproval
+ * @param {string} data - Output that resolved it
+ * @returns {string} - 'waiting' | 'working'
+ */
+const getAnsweredState = (approval, data) => {
+  const assistant = ASSISTANT_MAP[approval.assistantId] || CLAUDE_ASSISTANT;
+  const declined = (assistant.approvalPrompt && assistant.approvalPrompt.declined) || [];
+  const reply = approval.replied && approval.options.find(option => option.key === approval.replied);
+  if ((reply && /^no/i.test(reply.label)) || declined.some(pattern => pattern.test(data))) {
+    return 'waiting';
+  }
+  return 'working';
+};
+
 /**
  * Get display info for AI assistant state
  * @param {string} state - Assistant state
@@ -418,19 +1177,30 @@ const getClaudeStateInfo = (state) => {
 /**
  * Update session with AI assistant detection results
  * @param {Object} session - Session object to update
- * @param {string} data - Terminal output data
+ * @param {string|Object} output - Terminal output: a raw string, or a chunk
+ *   from the ANSI stream (clean lines, no escape sequences or split words)
  * @param {number} now - Current timestamp
  * @returns {boolean} - Whether session was updated
  */
-const updateAIAssistantDetection = (session, data, now) => {
+const updateAIAssistantDetection = (session, output, now) => {
   if (!session) return false;
 
   let updated = false;
+  const text = getOutputText(output);
+  const data = text.complete + text.current;
 
-  // Initial detection
+  // Initial detection: commit once the evidence in the window is strong enough
   if (!session.claudeDetected && !session.aiAssistantId) {
-    const result = detectAIAssistant(data);
-    if (result.detected) {
+    const result = scoreAIAssistant(session, data, now);
+    session.aiConfidence = {
+      assistantId: result.assistantId,
+      score: result.score,
+      threshold: DETECTION_THRESHOLD,
+      scores: result.scores,
+    };
+    if (result.score >= DETECTION_THRESHOLD) {
+      session._aiEvidence = null;
+      session.aiStartTime = now;
       session.aiAssistantId = result.assistantId;
       session.claudeDetected = result.assistantId === 'claude';  // Legacy compat
       session.claudeState = 'idle';
@@ -441,15 +1211,62 @@ const updateAIAssistantDetection = (session, data, now) => {
     }
   }
 
+  // Exit banner ("To continue this session, run codex resume ...")
+  const running = ASSISTANT_MAP[session.aiAssistantId];
+  if (running && (running.exitPatterns || []).some(pattern => pattern.test(data))) {
+    endAIAssistant(session, 'banner', now);
+    return true;
+  }
+
+  // Hook events own the state; output only fills in the dialog's options
+  if (session.hookBridge) {
+    const approval = session.pendingApproval;
+    if (updatePendingApproval(session, output, now)) {
+      updated = true;
+    }
+    // Answered in the terminal: approving is followed by PostToolUse, but a
+    // denial or Esc fires no hook at all
+    if (approval && !session.pendingApproval && session.claudeState === 'needs-approval') {
+      session.claudeState = getAnsweredState(approval, data);
+      session.claudeSpinnerPhase = null;
+      session.claudeLastStateChange = now;
+    }
+    if (data.length > 0) {
+      session.claudeLastActivity = now;
+    }
+    return updated;
+  }
+
   // State updates for detected sessions
   if (session.claudeDetected || session.aiAssistantId) {
-    const { state, spinnerPhase, shouldUpdate } = detectAssistantState(session, data, now);
+    const hadApproval = !!session.pendingApproval;
+    if (updatePendingApproval(session, output, now)) {
+      updated = true;
+    }
 
-    if (shouldUpdate) {
-      session.claudeState = state;
-      session.claudeSpinnerPhase = spinnerPhase;
+    if (session.pendingApproval) {
+      // Blocked on a permission dialog - no timeout moves it out of this state
+      if (session.claudeState !== 'needs-approval') {
+        session.claudeState = 'needs-approval';
+        session.claudeSpinnerPhase = null;
+        session.claudeLastStateChange = now;
+      }
+    } else if (hadApproval) {
+      // Dialog answered - the assistant carries on with the approved tool
+      session.claudeState = 'working';
       session.claudeLastStateChange = now;
-      updated = true;
+    } else {
+      const { state, spinnerPhase, shouldUpdate } = detectAssistantState(session, data, now);
+
+      if (shouldUpdate) {
+        // A redrawn spinner or prompt keeps the state - and its start time
+        if (state !== session.claudeState) {
+          session.claudeState = state;
+          session.claudeLastStateChange = now;
+        }
+        session.claudeSpinnerPhase = spinnerPhase;
+        updated = true;
+      }
     }
 
     // Always update last activity time on any output
@@ -461,11 +1278,243 @@ const updateAIAssistantDetection = (session, data, now) => {
   return updated;
 };
 
+/**
+ * Seed AI assistant detection from the session's foreground process
+ * A process named `claude` or `aider` is a much stronger signal than output
+ * regexes, so it can switch an already detected session to another assistant
+ * @param {Object} session - Session object to update
+ * @param {Object} proc - Foreground process ({ name, comm, argv, isShell })
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - Whether session was updated
+ */
+const updateAIAssistantFromProcess = (session, proc, now) => {
+  if (!session) return false;
+
+  const result = detectAIAssistantFromProcess(proc);
+  if (!result.detected || session.aiAssistantId === result.assistantId) return false;
+
+  session.aiStartTime = session.aiStartTime || now;  // Kept when correcting an output detection
+  session.aiAssistantId = result.assistantId;
+  session.claudeDetected = result.assistantId === 'claude';  // Legacy compat
+  session.aiConfidence = {
+    assistantId: result.assistantId,
+    score: EVIDENCE_WEIGHTS.process,
+    threshold: DETECTION_THRESHOLD,
+    scores: { [result.assistantId]: EVIDENCE_WEIGHTS.process },
+  };
+  session._aiEvidence = null;
+  if (!session.claudeState) {
+    session.claudeState = 'idle';
+    session.claudeLastStateChange = now;
+  }
+  session.claudeSpinnerPhase = null;
+  session.claudeLastActivity = now;
+  return true;
+};
+
 /**
  * Legacy: Update session with Claude detection results
  */
 const updateClaudeDetection = updateAIAssistantDetection;
 
+// =============================================================================
+// ASSISTANT EXIT
+// =============================================================================
+
+const ASSISTANT_HISTORY_LIMIT = 20;  // Assistant runs kept per session
+const EXIT_GRACE_PERIOD = 3000;      // ms after detection in which the shell showing doesn't count
+
+/**
+ * End the session's assistant run: record it in session.assistantHistory
+ * and reset every assistant field, so the tab is a plain shell again
+ * @param {Object} session - Session object to update
+ * @param {string} reason - What showed the exit: 'process' | 'prompt' | 'banner' | 'hook'
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - { assistantId, startTime, endTime, duration, reason, sessionId }, or null without an assistant
+ */
+const endAIAssistant = (session, reason, now) => {
+  if (!isAIAssistantSession(session)) return null;
+
+  const startTime = session.aiStartTime || now;
+  const entry = {
+    assistantId: session.aiAssistantId || 'claude',
+    startTime,
+    endTime: now,
+    duration: now - startTime,
+    reason,
+    sessionId: session.hookBridge ? session.hookBridge.sessionId : null,  // Claude conversation (hooks only)
+  };
+  session.assistantHistory = (session.assistantHistory || []).concat(entry).slice(-ASSISTANT_HISTORY_LIMIT);
+
+  Object.assign(session, {
+    aiAssistantId: null,
+    claudeDetected: false,
+    claudeState: null,
+    claudeSpinnerPhase: null,
+    claudeLastActivity: null,
+    claudeLastStateChange: null,
+    aiStartTime: null,
+    aiConfidence: null,
+    detectedActivity: null,
+    pendingApproval: null,
+    hookBridge: null,
+    currentTool: null,
+    transcript: null,
+    _aiEvidence: null,
+    _approvalBuffer: '',
+    _notifiedAgentState: null,
+    _transcriptSince: null,
+  });
+  return entry;
+};
+
+/**
+ * End the assistant run because the shell is back in front: the foreground
+ * process is the shell again or the shell drew its prompt. Ignored right
+ * after detection, when the prompt the assistant was started from or a stale
+ * foreground process can still show the shell
+ * @param {Object} session - Session object to update
+ * @param {string} reason - 'process' | 'prompt'
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - History entry if the run ended
+ */
+const updateAIAssistantExit = (session, reason, now) => {
+  if (!isAIAssistantSession(session)) return null;
+  if (now - (session.aiStartTime || 0) < EXIT_GRACE_PERIOD) return null;
+  return endAIAssistant(session, reason, now);
+};
+
+// =============================================================================
+// HOOK EVENTS (Claude Code hooks bridge)
+// =============================================================================
+
+// Tool input fields shown next to the tool name, most specific first
+const TOOL_SUBJECT_FIELDS = ['command', 'file_path', 'path', 'url', 'pattern', 'query', 'description'];
+const PERMISSION_MESSAGE_REGEX = /permission to use (\S+)/i;
+
+/**
+ * Short description of what a tool call works on (command, file, URL...)
+ * @param {Object} input - Tool input as forwarded by the hook script
+ * @returns {string|null}
+ */
+const getToolSubject = (input) => {
+  if (!input) return null;
+  const field = TOOL_SUBJECT_FIELDS.find(name => input[name]);
+  return field ? String(input[field]).split('\n')[0] : null;
+};
+
+/**
+ * Apply a Claude Code hook event to a session
+ * Hook events are exact, so once a session receives one its state comes
+ * only from hooks (see updateAIAssistantDetection) until Claude exits
+ * @param {Object} session - Session object to update
+ * @param {Object} event - Event from scripts/claude-hook.js
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - Whether session was updated
+ */
+const applyHookEvent = (session, event, now) => {
+  if (!session || !event || !event.hook_event_name) return false;
+
+  // Late hooks of a run that already ended (exit banner, prompt) must not
+  // start a new one: SessionEnd never does, other events only when they
+  // belong to another conversation or start one
+  if (!isAIAssistantSession(session)) {
+    const history = session.assistantHistory || [];
+    const last = history[history.length - 1];
+    if (event.hook_event_name === 'SessionEnd') return false;
+    if (last && last.sessionId && last.sessionId === event.session_id &&
+        event.hook_event_name !== 'SessionStart') {
+      return false;
+    }
+  }
+
+  const setState = (state) => {
+    if (session.claudeState === state) return;
+    session.claudeState = state;
+    session.claudeSpinnerPhase = null;
+    session.claudeLastStateChange = now;
+  };
+
+  session.aiStartTime = session.aiAssistantId ? (session.aiStartTime || now) : now;
+  session.aiAssistantId = 'claude';
+  session.claudeDetected = true;
+  session.claudeLastActivity = now;
+  session.hookBridge = {
+    sessionId: event.session_id || null,
+    transcriptPath: event.transcript_path || null,
+    lastEvent: event.hook_event_name,
+    lastEventTime: now,
+  };
+
+  switch (event.hook_event_name) {
+    case 'SessionStart':
+      // Claude starts (or resumes, or clears) at its input prompt
+      session.currentTool = null;
+      session.pendingApproval = null;
+      setState('waiting');
+      break;
+    case 'UserPromptSubmit':
+      setState('working');
+      break;
+    case 'PreToolUse':
+      session.currentTool = {
+        name: event.tool_name || null,
+        subject: getToolSubject(event.tool_input),
+        startTime: now,
+      };
+      setState('working');
+      break;
+    case 'PostToolUse':
+      session.currentTool = null;
+      session.pendingApproval = null;
+      setState('working');
+      break;
+    case 'Notification': {
+      const message = event.message || '';
+      const permission = message.match(PERMISSION_MESSAGE_REGEX);
+      if (!permission) {
+        // "Claude is waiting for your input" after a long idle
+        setState('waiting');
+        break;
+      }
+      // PreToolUse ran before the permission check, so currentTool is the one asking
+      const tool = session.currentTool;
+      if (!session.pendingApproval) {
+        session.pendingApproval = {
+          tool: (tool && tool.name) || permission[1],
+          subject: tool ? tool.subject : null,
+          question: message,
+          options: [],
+          assistantId: 'claude',
+          detectedAt: now,
+        };
+      }
+      setState('needs-approval');
+      break;
+    }
+    case 'Stop':
+      session.currentTool = null;
+      session.pendingApproval = null;
+      setState('waiting');
+      break;
+    case 'SessionEnd':
+      if (event.reason === 'clear') {
+        // /clear ends the conversation, not Claude - a SessionStart follows
+        session.currentTool = null;
+        session.pendingApproval = null;
+        setState('waiting');
+      } else {
+        // Back to the shell
+        endAIAssistant(session, 'hook', now);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return true;
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -498,16 +1547,31 @@ module.exports = {
   // New extensible exports
   AI_ASSISTANTS,
   ASSISTANT_MAP,
+  EVIDENCE_WEIGHTS,
+  DETECTION_THRESHOLD,
   detectAIAssistant,
+  scoreAIAssistant,
   detectAIAssistantFromTitle,
+  detectAIAssistantFromProcess,
   isAIAssistantSession,
   detectAssistantState,
   getAssistantStateInfo,
   updateAIAssistantDetection,
+  updateAIAssistantFromProcess,
+  endAIAssistant,
+  updateAIAssistantExit,
+  configureAssistants,
+  getAssistantConfig,
+  parseApprovalPrompt,
+  updatePendingApproval,
+  getToolSubject,
+  applyHookEvent,
 
   // Individual assistant definitions (for customization)
   CLAUDE_ASSISTANT,
   CURSOR_ASSISTANT,
   COPILOT_CLI_ASSISTANT,
   AIDER_ASSISTANT,
+  CODEX_ASSISTANT,
+  GEMINI_ASSISTANT,
 };
@@ -0,0 +1,260 @@
+// Claude Code transcript reader for hyper-session-sidebar
+// Claude Code writes one JSONL transcript per conversation under
+// ~/.claude/projects/<encoded-cwd>/. This module finds the newest one for a
+// directory and tails it, folding each entry into a small summary.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const READ_CHUNK = 4 * 1024 * 1024;  // Max bytes read per refresh (big transcripts catch up over several)
+const MESSAGE_LIMIT = 500;           // Characters of the last assistant message kept
+
+// User entries that are not prompts: slash-command wrappers, command output, interrupts
+const NON_PROMPT_REGEX = /^\s*(?:<(?:command-|local-command-)|\[Request interrupted)|^Caveat:/;
+
+// Transcript state by file path: { offset, skipping, summary, messageIds }
+const transcripts = new Map();
+
+/**
+ * Directory holding Claude Code's per-project transcript folders
+ * @returns {string}
+ */
+const getProjectsDir = () => {
+  const configDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+  return path.join(configDir, 'projects');
+};
+
+/**
+ * Folder name Claude Code uses for a working directory
+ * (every character other than a letter or digit becomes '-')
+ * @param {string} cwd
+ * @returns {string}
+ */
+const encodeProjectPath = (cwd) => cwd.replace(/[^a-zA-Z0-9]/g, '-');
+
+/**
+ * Find the most recently written transcript for a working directory
+ * @param {string} cwd - Session working directory
+ * @param {number} since - Ignore transcripts last written before this timestamp
+ * @param {Function} callback - Called with the file path or null
+ */
+const findLatestTranscript = (cwd, since, callback) => {
+  const dir = path.join(getProjectsDir(), encodeProjectPath(cwd));
+  fs.readdir(dir, (err, names) => {
+    const files = err ? [] : names.filter(name => name.endsWith('.jsonl'));
+    if (files.length === 0) {
+      callback(null);
+      return;
+    }
+
+    let pending = files.length;
+    let latest = null;
+    files.forEach((name) => {
+      const filePath = path.join(dir, name);
+      fs.stat(filePath, (statErr, stats) => {
+        if (!statErr && stats.mtimeMs >= since && (!latest || stats.mtimeMs > latest.mtimeMs)) {
+          latest = { filePath, mtimeMs: stats.mtimeMs };
+        }
+        pending -= 1;
+        if (pending === 0) callback(latest ? latest.filePath : null);
+      });
+    });
+  });
+};
+
+/**
+ * Create an empty transcript summary
+ * @returns {Object}
+ */
+const createEmptySummary = () => ({
+  path: null,
+  sessionId: null,
+  title: null,         // First user prompt
+  model: null,         // Model of the latest assistant message
+  toolCalls: 0,
+  lastMessage: null,   // Text of the latest assistant message
+  usage: { input: 0, output: 0, cacheRead: 0, cacheCreation: 0 },
+  updatedAt: null,     // Timestamp of the latest entry
+});
+
+// Text of a message's content (a string or an array of blocks)
+const getText = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(block => block && block.type === 'text' && block.text)
+    .map(block => block.text)
+    .join('\n');
+};
+
+/**
+ * Fold one transcript entry into a summary
+ * @param {Object} summary - Summary to update (see createEmptySummary)
+ * @param {Object} entry - Parsed JSONL line
+ * @param {Set} [messageIds] - Assistant message ids already counted
+ * @returns {Object|null} - { id, model, usage, time } when the entry added token usage
+ */
+const applyTranscriptEntry = (summary, entry, messageIds) => {
+  if (!entry || !entry.message) return null;
+  if (entry.sessionId) summary.sessionId = entry.sessionId;
+  if (entry.timestamp) summary.updatedAt = Date.parse(entry.timestamp) || summary.updatedAt;
+
+  const message = entry.message;
+  // Subagent (Task) conversations count towards tools and usage only
+  const mainThread = !entry.isSidechain;
+
+  if (entry.type === 'user') {
+    if (summary.title || entry.isMeta || !mainThread) return null;
+    const text = getText(message.content).trim();
+    if (text && !NON_PROMPT_REGEX.test(text)) {
+      summary.title = text.split('\n')[0];
+    }
+    return null;
+  }
+
+  if (entry.type !== 'assistant') return null;
+
+  if (mainThread && message.model && message.model !== '<synthetic>') {
+    summary.model = message.model;
+  }
+
+  const blocks = Array.isArray(message.content) ? message.content : [];
+  summary.toolCalls += blocks.filter(block => block && block.type === 'tool_use').length;
+
+  const text = getText(blocks).trim();
+  if (mainThread && text) {
+    summary.lastMessage = text.length > MESSAGE_LIMIT ? `${text.slice(0, MESSAGE_LIMIT - 1)}…` : text;
+  }
+
+  // One message is written as several entries (one per content block), each
+  // repeating the message's usage - count it once
+  if (!message.usage) return null;
+  if (messageIds && message.id) {
+    if (messageIds.has(message.id)) return null;
+    messageIds.add(message.id);
+  }
+  const usage = {
+    input: message.usage.input_tokens || 0,
+    output: message.usage.output_tokens || 0,
+    cacheRead: message.usage.cache_read_input_tokens || 0,
+    cacheCreation: message.usage.cache_creation_input_tokens || 0,
+  };
+  Object.keys(usage).forEach((key) => {
+    summary.usage[key] += usage[key];
+  });
+  return { id: message.id || null, model: message.model || null, usage, time: Date.parse(entry.timestamp) || Date.now() };
+};
+
+// Parse the complete lines in a chunk, collecting usage records written
+// since `since`; returns the number of bytes consumed
+const consumeChunk = (state, buffer, since, records) => {
+  const lastNewline = buffer.lastIndexOf(0x0a);
+  if (lastNewline === -1) {
+    // A single line longer than a chunk (a huge tool result) - skip all of it
+    if (state.skipping || buffer.length === READ_CHUNK) {
+      state.skipping = true;
+      return buffer.length;
+    }
+    return 0;  // Line still being written
+  }
+
+  const lines = buffer.slice(0, lastNewline).toString('utf8').split('\n');
+  if (state.skipping) {
+    lines.shift();  // Tail of the skipped line
+    state.skipping = false;
+  }
+
+  lines.forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      const record = applyTranscriptEntry(state.summary, JSON.parse(line), state.messageIds);
+      if (record && record.time >= since) records.push(record);
+    } catch (e) {
+      // Partially written or not JSON - ignore
+    }
+  });
+  return lastNewline + 1;
+};
+
+/**
+ * Read whatever was appended to a transcript since the last call
+ * @param {string} filePath - Transcript path
+ * @param {number} since - Usage written before this timestamp belongs to an earlier run
+ *   (a resumed conversation, or one already running when Hyper started) and is not reported
+ * @param {Function} callback - Called with (summary, usageRecords); summary is null if unreadable.
+ *   usageRecords ({ id, model, usage, time }) cover new messages written since `since`
+ */
+const readTranscript = (filePath, since, callback) => {
+  let state = transcripts.get(filePath);
+  if (state && state.reading) {
+    callback(state.summary, []);
+    return;
+  }
+
+  fs.stat(filePath, (statErr, stats) => {
+    if (statErr) {
+      transcripts.delete(filePath);
+      callback(null, []);
+      return;
+    }
+
+    // New file, or rewritten from scratch
+    if (!state || stats.size < state.offset) {
+      state = {
+        offset: 0,
+        skipping: false,
+        reading: false,
+        summary: createEmptySummary(),
+        messageIds: new Set(),
+      };
+      state.summary.path = filePath;
+      transcripts.set(filePath, state);
+    }
+    if (stats.size === state.offset) {
+      callback(state.summary, []);
+      return;
+    }
+
+    state.reading = true;
+    const length = Math.min(stats.size - state.offset, READ_CHUNK);
+    fs.open(filePath, 'r', (openErr, fd) => {
+      if (openErr) {
+        state.reading = false;
+        callback(state.summary, []);
+        return;
+      }
+      const buffer = Buffer.alloc(length);
+      fs.read(fd, buffer, 0, length, state.offset, (readErr, bytesRead) => {
+        fs.close(fd, () => {});
+        state.reading = false;
+        const records = [];
+        if (!readErr) {
+          state.offset += consumeChunk(state, buffer.slice(0, bytesRead), since, records);
+        }
+        callback(state.summary, records);
+      });
+    });
+  });
+};
+
+/**
+ * Drop cached state for transcripts no session is following
+ * @param {string[]} activePaths - Transcript paths still in use
+ */
+const pruneTranscripts = (activePaths) => {
+  const keep = new Set(activePaths);
+  Array.from(transcripts.keys()).forEach((filePath) => {
+    if (!keep.has(filePath)) transcripts.delete(filePath);
+  });
+};
+
+module.exports = {
+  getProjectsDir,
+  encodeProjectPath,
+  findLatestTranscript,
+  createEmptySummary,
+  applyTranscriptEntry,
+  readTranscript,
+  pruneTranscripts,
+};
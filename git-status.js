@@ -0,0 +1,491 @@
+// Git status helpers for hyper-session-sidebar
+// A single `git status --porcelain=v2 --branch --show-stash` per refresh is
+// parsed into branch, upstream, ahead/behind and per-category file counts.
+// Results are cached per repository (keyed by the work tree root) and shared
+// by every session inside it; fs.watch on HEAD, index and refs invalidates them.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// --show-stash needs git 2.35+; remembered after the first failure
+let supportsShowStash = true;
+
+const DEFAULT_MAX_PROCESSES = 2;   // Concurrent git subprocesses across all repos
+const GIT_TIMEOUT = 10000;         // Kill git after 10s (slow network mounts)
+const NON_REPO_TTL = 10000;        // Re-check non-repo directories after 10s
+const WATCH_DEBOUNCE = 300;        // Coalesce bursts of .git writes (commit, rebase)
+const MAX_CACHED_CWDS = 500;
+
+// =============================================================================
+// PORCELAIN PARSING
+// =============================================================================
+
+/**
+ * Empty status for sessions outside a repository
+ * @returns {Object}
+ */
+const createEmptyStatus = () => ({
+  branch: '',
+  detached: false,
+  oid: null,
+  upstream: null,
+  ahead: 0,
+  behind: 0,
+  staged: 0,
+  modified: 0,
+  untracked: 0,
+  conflicted: 0,
+  stash: 0,
+  root: null,        // Work tree root (cache key)
+  worktree: null,    // { name, mainRoot } for linked worktrees
+  operation: null,   // 'rebase' | 'am' | 'merge' | 'cherry-pick' | 'revert' | 'bisect' | null
+  dirty: 0,          // Number of changed entries (kept for the compact views)
+});
+
+/**
+ * Parse `git status --porcelain=v2 --branch --show-stash` output
+ * Header lines start with '#', entries with 1 (changed), 2 (renamed/copied),
+ * u (unmerged), ? (untracked) or ! (ignored). XY holds the staged (X) and
+ * worktree (Y) status, '.' meaning unchanged.
+ * @param {string} stdout - Raw porcelain v2 output
+ * @returns {Object} - Status (see createEmptyStatus)
+ */
+const parsePorcelainV2 = (stdout) => {
+  const status = createEmptyStatus();
+
+  (stdout || '').split('\n').forEach((line) => {
+    if (!line) return;
+
+    if (line.startsWith('# ')) {
+      const [key, ...rest] = line.slice(2).split(' ');
+      const value = rest.join(' ');
+      switch (key) {
+        case 'branch.oid':
+          status.oid = value === '(initial)' ? null : value;
+          break;
+        case 'branch.head':
+          status.detached = value === '(detached)';
+          status.branch = status.detached ? '' : value;
+          break;
+        case 'branch.upstream':
+          status.upstream = value;
+          break;
+        case 'branch.ab': {
+          const match = value.match(/^\+(\d+) -(\d+)$/);
+          if (match) {
+            status.ahead = parseInt(match[1], 10);
+            status.behind = parseInt(match[2], 10);
+          }
+          break;
+        }
+        case 'stash':
+          status.stash = parseInt(value, 10) || 0;
+          break;
+      }
+      return;
+    }
+
+    const type = line[0];
+    if (type === '1' || type === '2') {
+      const x = line[2];
+      const y = line[3];
+      if (x !== '.') status.staged++;
+      if (y !== '.') status.modified++;
+      status.dirty++;
+    } else if (type === 'u') {
+      status.conflicted++;
+      status.dirty++;
+    } else if (type === '?') {
+      status.untracked++;
+      status.dirty++;
+    }
+  });
+
+  // Show the short commit for detached HEAD
+  if (status.detached && status.oid) {
+    status.branch = status.oid.slice(0, 7);
+  }
+
+  return status;
+};
+
+/**
+ * Detect a rebase/merge/cherry-pick/revert/bisect in progress
+ * @param {string} gitDir - Absolute git dir (per-worktree for linked worktrees)
+ * @returns {{ operation: string|null, headName: string|null }}
+ */
+const readOperationInProgress = (gitDir) => {
+  const exists = (name) => fs.existsSync(path.join(gitDir, name));
+  const readHeadName = (dir) => {
+    try {
+      const ref = fs.readFileSync(path.join(gitDir, dir, 'head-name'), 'utf8').trim();
+      return ref.replace(/^refs\/heads\//, '');
+    } catch (e) {
+      return null;
+    }
+  };
+
+  if (exists('rebase-merge')) {
+    return { operation: 'rebase', headName: readHeadName('rebase-merge') };
+  }
+  if (exists('rebase-apply')) {
+    return {
+      operation: exists(path.join('rebase-apply', 'applying')) ? 'am' : 'rebase',
+      headName: readHeadName('rebase-apply')
+    };
+  }
+  if (exists('MERGE_HEAD')) return { operation: 'merge', headName: null };
+  if (exists('CHERRY_PICK_HEAD')) return { operation: 'cherry-pick', headName: null };
+  if (exists('REVERT_HEAD')) return { operation: 'revert', headName: null };
+  if (exists('BISECT_LOG')) return { operation: 'bisect', headName: null };
+  return { operation: null, headName: null };
+};
+
+// =============================================================================
+// SUBPROCESS LIMIT
+// =============================================================================
+
+let maxProcesses = DEFAULT_MAX_PROCESSES;
+let activeProcesses = 0;
+const gitQueue = [];
+
+const drainQueue = () => {
+  while (activeProcesses < maxProcesses && gitQueue.length > 0) {
+    const { args, cwd, callback } = gitQueue.shift();
+    activeProcesses++;
+    execFile('git', args, {
+      cwd,
+      maxBuffer: 10 * 1024 * 1024,
+      timeout: GIT_TIMEOUT,
+      windowsHide: true
+    }, (err, stdout, stderr) => {
+      activeProcesses--;
+      drainQueue();
+      callback(err, stdout, stderr);
+    });
+  }
+};
+
+// Run git without a shell, queued behind the concurrency limit
+const runGit = (args, cwd, callback) => {
+  gitQueue.push({ args, cwd, callback });
+  drainQueue();
+};
+
+/**
+ * Set the maximum number of concurrent git subprocesses
+ * @param {number} limit - Values below 1 are clamped to 1
+ */
+const setConcurrency = (limit) => {
+  maxProcesses = Math.max(1, parseInt(limit, 10) || DEFAULT_MAX_PROCESSES);
+  drainQueue();
+};
+
+// Run the porcelain v2 status, dropping --show-stash on git older than 2.35
+// --no-optional-locks keeps status from rewriting .git/index, which would
+// otherwise trigger our own watchers in a loop
+const runStatus = (cwd, callback) => {
+  const args = ['--no-optional-locks', 'status', '--porcelain=v2', '--branch', '--ignore-submodules'];
+  if (supportsShowStash) args.push('--show-stash');
+
+  runGit(args, cwd, (err, stdout, stderr) => {
+    if (err && supportsShowStash && /show-stash/.test(String(stderr))) {
+      supportsShowStash = false;
+      runStatus(cwd, callback);
+      return;
+    }
+    callback(err, stdout);
+  });
+};
+
+// Status for a known repository, with the operation in progress filled in
+const readRepoStatus = (repo, callback) => {
+  runStatus(repo.root, (err, stdout) => {
+    if (err) {
+      callback(null);
+      return;
+    }
+
+    const status = parsePorcelainV2(stdout);
+    const { operation, headName } = readOperationInProgress(repo.gitDir);
+    status.operation = operation;
+    status.root = repo.root;
+    status.worktree = repo.worktreeName ? { name: repo.worktreeName, mainRoot: repo.mainRoot } : null;
+    // A rebase detaches HEAD - show the branch being rebased instead
+    if (status.detached && headName) {
+      status.branch = headName;
+    }
+    callback(status);
+  });
+};
+
+// =============================================================================
+// REPOSITORY RESOLUTION
+// =============================================================================
+
+// cwd -> { info: { root, gitDir, commonDir, mainRoot, worktreeName } | null, time }
+const cwdRepos = new Map();
+
+// A linked worktree has its own git dir (<common>/worktrees/<name>); the main
+// checkout is the parent of the common dir unless the main repo is bare
+const describeWorktree = (root, gitDir, commonDir) => {
+  if (gitDir === commonDir) {
+    return { mainRoot: root, worktreeName: null };
+  }
+  return {
+    mainRoot: path.basename(commonDir) === '.git' ? path.dirname(commonDir) : commonDir,
+    worktreeName: path.basename(gitDir),
+  };
+};
+
+/**
+ * Resolve the repository containing a directory
+ * @param {string} cwd - Any directory
+ * @param {Function} callback - Called with { root, gitDir, commonDir, mainRoot, worktreeName } or null
+ */
+const resolveRepo = (cwd, callback) => {
+  const cached = cwdRepos.get(cwd);
+  if (cached && (cached.info || Date.now() - cached.time < NON_REPO_TTL)) {
+    callback(cached.info);
+    return;
+  }
+
+  runGit(['rev-parse', '--show-toplevel', '--absolute-git-dir', '--git-common-dir'], cwd, (err, stdout) => {
+    const [root, gitDir, commonDir] = err ? [] : stdout.split(/\r?\n/);
+    let info = null;
+    if (root && gitDir && commonDir) {
+      info = {
+        root: path.resolve(root),
+        gitDir: path.resolve(gitDir),
+        commonDir: path.resolve(cwd, commonDir)
+      };
+      Object.assign(info, describeWorktree(info.root, info.gitDir, info.commonDir));
+    }
+
+    if (cwdRepos.size >= MAX_CACHED_CWDS) cwdRepos.clear();
+    cwdRepos.set(cwd, { info, time: Date.now() });
+    callback(info);
+  });
+};
+
+// =============================================================================
+// SHARED REPOSITORY CACHE
+// =============================================================================
+
+// root -> { root, gitDir, commonDir, status, stale, refreshing, refreshQueued,
+//           subscribers: Map<uid, listener>, watchers, invalidateTimer }
+const repos = new Map();
+// uid -> { cwd, root }
+const sessionRepos = new Map();
+
+// Files directly inside the git dir whose changes affect the status
+const WATCHED_GIT_FILES = new Set([
+  'HEAD', 'index', 'packed-refs', 'MERGE_HEAD', 'CHERRY_PICK_HEAD',
+  'REVERT_HEAD', 'BISECT_LOG', 'rebase-merge', 'rebase-apply',
+]);
+
+// Re-run status for a repository and hand the result to every subscriber
+const refreshRepo = (repo) => {
+  if (repo.refreshing) {
+    repo.refreshQueued = true;
+    return;
+  }
+
+  repo.refreshing = true;
+  readRepoStatus(repo, (status) => {
+    repo.refreshing = false;
+    repo.status = status;
+    repo.stale = false;
+    repo.subscribers.forEach(listener => listener(status));
+
+    if (repo.refreshQueued) {
+      repo.refreshQueued = false;
+      refreshRepo(repo);
+    }
+  });
+};
+
+// Mark a repository stale and refresh once the burst of writes settles
+const invalidateRepo = (repo) => {
+  repo.stale = true;
+  if (repo.invalidateTimer) clearTimeout(repo.invalidateTimer);
+  repo.invalidateTimer = setTimeout(() => {
+    repo.invalidateTimer = null;
+    if (repo.subscribers.size > 0) refreshRepo(repo);
+  }, WATCH_DEBOUNCE);
+};
+
+// Watch a directory, ignoring lock files and (optionally) unrelated entries
+const watchDir = (repo, dir, options, filter) => {
+  try {
+    const watcher = fs.watch(dir, options, (eventType, filename) => {
+      const name = filename ? String(filename) : null;
+      if (name && (name.endsWith('.lock') || (filter && !filter(name)))) return;
+      invalidateRepo(repo);
+    });
+    // The directory can vanish (repo deleted, worktree pruned)
+    watcher.on('error', () => invalidateRepo(repo));
+    repo.watchers.push(watcher);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Watch HEAD/index in the (per-worktree) git dir and refs in the common dir
+const startWatching = (repo) => {
+  const isGitFile = name => WATCHED_GIT_FILES.has(name);
+  watchDir(repo, repo.gitDir, {}, isGitFile);
+  if (repo.commonDir !== repo.gitDir) {
+    // Linked worktree: the common dir's HEAD/index belong to the main checkout
+    watchDir(repo, repo.commonDir, {}, name => name === 'packed-refs');
+  }
+
+  // Recursive watching is unavailable on older Linux runtimes; fall back to
+  // the ref directories that change in day-to-day use
+  const refsDir = path.join(repo.commonDir, 'refs');
+  if (!watchDir(repo, refsDir, { recursive: true })) {
+    watchDir(repo, refsDir, {});
+    watchDir(repo, path.join(refsDir, 'heads'), {});
+    const remotesDir = path.join(refsDir, 'remotes');
+    try {
+      fs.readdirSync(remotesDir).forEach(remote => watchDir(repo, path.join(remotesDir, remote), {}));
+    } catch (e) {
+      // No remotes
+    }
+  }
+};
+
+const closeRepo = (repo) => {
+  repo.watchers.forEach((watcher) => {
+    try { watcher.close(); } catch (e) { /* already closed */ }
+  });
+  repo.watchers = [];
+  if (repo.invalidateTimer) clearTimeout(repo.invalidateTimer);
+  repos.delete(repo.root);
+};
+
+const getOrCreateRepo = (info) => {
+  let repo = repos.get(info.root);
+  if (!repo) {
+    repo = {
+      ...info,
+      status: null,
+      stale: true,
+      refreshing: false,
+      refreshQueued: false,
+      subscribers: new Map(),
+      watchers: [],
+      invalidateTimer: null,
+    };
+    repos.set(info.root, repo);
+    startWatching(repo);
+  }
+  return repo;
+};
+
+/**
+ * Stop delivering git status to a session
+ * Watchers for a repository are closed once its last session leaves
+ * @param {string} uid - Session uid
+ */
+const untrackSession = (uid) => {
+  const entry = sessionRepos.get(uid);
+  sessionRepos.delete(uid);
+  if (!entry || !entry.root) return;
+
+  const repo = repos.get(entry.root);
+  if (!repo) return;
+  repo.subscribers.delete(uid);
+  if (repo.subscribers.size === 0) closeRepo(repo);
+};
+
+/**
+ * Subscribe a session to the git status of the repository containing cwd
+ * The listener fires with the cached status (or after the first scan), then
+ * again whenever the repository changes on disk. It receives null when cwd
+ * is not inside a work tree.
+ * @param {string} uid - Session uid
+ * @param {string} cwd - Session working directory
+ * @param {Function} listener - Called with the status or null
+ */
+const trackSession = (uid, cwd, listener) => {
+  const previous = sessionRepos.get(uid);
+  sessionRepos.set(uid, { cwd, root: previous ? previous.root : null });
+
+  resolveRepo(cwd, (info) => {
+    // The session moved on (or closed) while rev-parse was running
+    const current = sessionRepos.get(uid);
+    if (!current || current.cwd !== cwd) return;
+
+    if (current.root && (!info || current.root !== info.root)) {
+      untrackSession(uid);
+      sessionRepos.set(uid, { cwd, root: null });
+    }
+
+    if (!info) {
+      listener(null);
+      return;
+    }
+
+    const repo = getOrCreateRepo(info);
+    sessionRepos.set(uid, { cwd, root: info.root });
+    repo.subscribers.set(uid, listener);
+
+    // A scan already in flight will notify the new subscriber too
+    if (repo.status && !repo.stale) {
+      listener(repo.status);
+    } else if (!repo.refreshing) {
+      refreshRepo(repo);
+    }
+  });
+};
+
+/**
+ * Force a status refresh for the repository a session is in
+ * @param {string} uid - Session uid
+ */
+const refreshSession = (uid) => {
+  const entry = sessionRepos.get(uid);
+  const repo = entry && entry.root ? repos.get(entry.root) : null;
+  if (repo) invalidateRepo(repo);
+};
+
+/**
+ * Read the git status for a directory without caching or watching
+ * @param {string} cwd - Directory inside the work tree
+ * @param {Function} callback - Called with the status, or null outside a repository
+ */
+const getGitStatus = (cwd, callback) => {
+  resolveRepo(cwd, (info) => {
+    if (!info) {
+      callback(null);
+      return;
+    }
+    readRepoStatus(info, callback);
+  });
+};
+
+/**
+ * Close every watcher and drop all cached state (plugin unload)
+ */
+const dispose = () => {
+  Array.from(repos.values()).forEach(closeRepo);
+  sessionRepos.clear();
+  cwdRepos.clear();
+};
+
+module.exports = {
+  runGit,
+  createEmptyStatus,
+  parsePorcelainV2,
+  readOperationInProgress,
+  resolveRepo,
+  getGitStatus,
+  trackSession,
+  untrackSession,
+  refreshSession,
+  setConcurrency,
+  dispose,
+};
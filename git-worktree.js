@@ -0,0 +1,118 @@
+// Git worktree helpers for hyper-session-sidebar
+// Creates a worktree + branch for a new agent session and removes it again,
+// refusing to discard uncommitted work
+
+const fs = require('fs');
+const path = require('path');
+const gitStatus = require('./git-status');
+
+// First line of git's stderr, without the "fatal: " prefix
+const gitError = (err, stderr) => {
+  const line = String(stderr || '').split(/\r?\n/).find(Boolean);
+  return new Error(line ? line.replace(/^(fatal|error):\s*/, '') : err.message);
+};
+
+/**
+ * Turn a branch name into a directory name (feature/login -> feature-login)
+ * @param {string} branch
+ * @returns {string}
+ */
+const slugifyBranch = (branch) => {
+  return branch.replace(/[\\/:*?"<>|\s]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Directory for a new worktree
+ * Defaults to a `<repo>-worktrees` folder next to the main checkout; a
+ * configured base directory may be absolute or relative to the main checkout
+ * @param {string} mainRoot - Main checkout of the repository
+ * @param {string} branch - New branch name
+ * @param {string} baseDir - Configured worktree directory ('' for the default)
+ * @returns {string}
+ */
+const getWorktreePath = (mainRoot, branch, baseDir) => {
+  const base = baseDir
+    ? path.resolve(mainRoot, baseDir)
+    : path.join(path.dirname(mainRoot), `${path.basename(mainRoot)}-worktrees`);
+  return path.join(base, slugifyBranch(branch));
+};
+
+/**
+ * Create a worktree on a new branch, starting from the current HEAD of root
+ * @param {Object} options
+ * @param {string} options.root - Work tree the new branch starts from
+ * @param {string} options.mainRoot - Main checkout (for the default location)
+ * @param {string} options.branch - New branch name
+ * @param {string} [options.baseDir] - Configured worktree directory
+ * @param {Function} callback - Called with (err, { path, branch })
+ */
+const createWorktree = ({ root, mainRoot, branch, baseDir }, callback) => {
+  const name = (branch || '').trim();
+  if (!name) {
+    callback(new Error('Branch name is required'));
+    return;
+  }
+
+  gitStatus.runGit(['check-ref-format', '--branch', name], root, (formatErr) => {
+    if (formatErr) {
+      callback(new Error(`'${name}' is not a valid branch name`));
+      return;
+    }
+
+    const worktreePath = getWorktreePath(mainRoot || root, name, baseDir);
+    if (fs.existsSync(worktreePath)) {
+      callback(new Error(`${worktreePath} already exists`));
+      return;
+    }
+
+    gitStatus.runGit(['worktree', 'add', '-b', name, worktreePath], root, (err, stdout, stderr) => {
+      if (err) {
+        callback(gitError(err, stderr));
+        return;
+      }
+      callback(null, { path: worktreePath, branch: name });
+    });
+  });
+};
+
+/**
+ * Remove a linked worktree (the branch is kept)
+ * Re-reads the status first and refuses while anything is uncommitted,
+ * including untracked files; git itself also refuses without --force
+ * @param {string} root - Root of the linked worktree
+ * @param {Function} callback - Called with (err, { path, name })
+ */
+const removeWorktree = (root, callback) => {
+  gitStatus.getGitStatus(root, (status) => {
+    if (!status) {
+      callback(new Error(`${root} is not a git worktree`));
+      return;
+    }
+    if (!status.worktree) {
+      callback(new Error('The main checkout cannot be removed'));
+      return;
+    }
+    if (status.dirty > 0 || status.operation) {
+      const reason = status.operation
+        ? `a ${status.operation} in progress`
+        : `${status.dirty} uncommitted change${status.dirty === 1 ? '' : 's'}`;
+      callback(new Error(`Worktree ${status.worktree.name} has ${reason}`));
+      return;
+    }
+
+    gitStatus.runGit(['worktree', 'remove', root], status.worktree.mainRoot, (err, stdout, stderr) => {
+      if (err) {
+        callback(gitError(err, stderr));
+        return;
+      }
+      callback(null, { path: root, name: status.worktree.name });
+    });
+  });
+};
+
+module.exports = {
+  slugifyBranch,
+  getWorktreePath,
+  createWorktree,
+  removeWorktree,
+};
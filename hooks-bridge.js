@@ -0,0 +1,125 @@
+// Claude Code hooks bridge for hyper-session-sidebar
+// Runs in Hyper's main process: listens on a local socket (a named pipe on
+// Windows) for events posted by scripts/claude-hook.js and hands them to a
+// callback. The socket path reaches the hook through the sessions' environment.
+
+const net = require('net');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const SOCKET_ENV = 'HYPER_SIDEBAR_SOCKET';
+const HOOK_SCRIPT = path.join(__dirname, 'scripts', 'claude-hook.js');
+const MAX_EVENT_BYTES = 64 * 1024;  // Drop connections that send more than this
+
+// Hook events the sidebar understands (tool events match every tool)
+const HOOK_EVENTS = ['SessionStart', 'UserPromptSubmit', 'PreToolUse', 'PostToolUse', 'Notification', 'Stop', 'SessionEnd'];
+const TOOL_EVENTS = new Set(['PreToolUse', 'PostToolUse']);
+
+let server = null;
+
+/**
+ * Socket path for this Hyper instance (one per main process)
+ * @returns {string}
+ */
+const getSocketPath = () => {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\hyper-session-sidebar-${process.pid}`;
+  }
+  return path.join(os.tmpdir(), `hyper-session-sidebar-${process.pid}.sock`);
+};
+
+// Parse newline-delimited JSON events from one connection
+const handleConnection = (socket, onEvent) => {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    if (buffer.length > MAX_EVENT_BYTES) {
+      socket.destroy();
+      return;
+    }
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        if (event && typeof event.hook_event_name === 'string') onEvent(event);
+      } catch (e) {
+        // Not ours or truncated - ignore
+      }
+    }
+  });
+  socket.on('error', () => {});
+};
+
+/**
+ * Start listening for hook events (no-op if already listening)
+ * @param {Function} onEvent - Called with each parsed event
+ * @param {Function} [onError] - Called if the socket cannot be opened
+ */
+const start = (onEvent, onError) => {
+  if (server) return;
+
+  const socketPath = getSocketPath();
+  if (process.platform !== 'win32') {
+    // Left behind by a crashed instance that reused our pid
+    try { fs.unlinkSync(socketPath); } catch (e) { /* not there */ }
+  }
+
+  server = net.createServer(socket => handleConnection(socket, onEvent));
+  server.on('error', (err) => {
+    server = null;
+    if (onError) onError(err);
+  });
+  server.listen(socketPath);
+};
+
+/**
+ * Stop listening and remove the socket file
+ */
+const stop = () => {
+  if (!server) return;
+  server.close();
+  server = null;
+  if (process.platform !== 'win32') {
+    try { fs.unlinkSync(getSocketPath()); } catch (e) { /* already gone */ }
+  }
+};
+
+/**
+ * Environment variables for new sessions so the hook finds the socket
+ * @returns {Object}
+ */
+const getSessionEnv = () => ({ [SOCKET_ENV]: getSocketPath() });
+
+/**
+ * Command Claude Code runs for each hook event
+ * @returns {string}
+ */
+const getHookCommand = () => `node "${HOOK_SCRIPT.replace(/\\/g, '/')}"`;
+
+/**
+ * The `hooks` block to merge into ~/.claude/settings.json
+ * @returns {Object}
+ */
+const getHooksConfig = () => {
+  const hooks = {};
+  HOOK_EVENTS.forEach((name) => {
+    const entry = { hooks: [{ type: 'command', command: getHookCommand() }] };
+    hooks[name] = [TOOL_EVENTS.has(name) ? { matcher: '*', ...entry } : entry];
+  });
+  return { hooks };
+};
+
+module.exports = {
+  HOOK_EVENTS,
+  getSocketPath,
+  start,
+  stop,
+  getSessionEnv,
+  getHookCommand,
+  getHooksConfig,
+};
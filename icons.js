@@ -48,6 +48,10 @@ const ICONS = {
     path: '<circle cx="18" cy="18" r="3"/><circle cx="6" cy="6" r="3"/><path d="M6 21V9a9 9 0 0 0 9 9"/>',
     label: 'Git Merge'
   },
+  'git-worktree': {
+    path: '<circle cx="6" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M6 9v6"/><path d="M21 7h-6a3 3 0 0 0-3 3v1"/><path d="M18 4l3 3-3 3"/>',
+    label: 'Git Worktree'
+  },
 
   // Folder/File icons
   folder: {
@@ -109,6 +113,16 @@ const ICONS = {
     label: 'Gem'
   },
 
+  // Infrastructure icons
+  server: {
+    path: '<rect width="20" height="8" x="2" y="2" rx="2" ry="2"/><rect width="20" height="8" x="2" y="14" rx="2" ry="2"/><line x1="6" y1="6" x2="6.01" y2="6"/><line x1="6" y1="18" x2="6.01" y2="18"/>',
+    label: 'Server'
+  },
+  container: {
+    path: '<path d="M22 7.7c0-.6-.4-1.2-.8-1.5l-6.3-3.9a1.72 1.72 0 0 0-1.7 0l-10.3 6c-.5.2-.9.8-.9 1.4v6.6c0 .5.4 1.2.8 1.5l6.3 3.9a1.72 1.72 0 0 0 1.7 0l10.3-6c.5-.3.9-1 .9-1.5Z"/><path d="M10 21.9V14L2.1 9.1"/><path d="m10 14 11.9-6.9"/><path d="M14 19.8v-8.1"/><path d="M18 17.5V9.4"/>',
+    label: 'Container'
+  },
+
   // Misc
   play: {
     path: '<polygon points="5 3 19 12 5 21 5 3"/>',
@@ -126,6 +140,14 @@ const ICONS = {
     path: '<polyline points="20 6 9 17 4 12"/>',
     label: 'Check'
   },
+  plus: {
+    path: '<line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>',
+    label: 'Plus'
+  },
+  trash: {
+    path: '<polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>',
+    label: 'Trash'
+  },
   x: {
     path: '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>',
     label: 'X'
@@ -138,6 +160,38 @@ const ICONS = {
     path: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
     label: 'Check Circle'
   },
+  bell: {
+    path: '<path d="M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9"/><path d="M10.3 21a1.94 1.94 0 0 0 3.4 0"/>',
+    label: 'Bell'
+  },
+  'bell-off': {
+    path: '<path d="M8.7 3A6 6 0 0 1 18 8a21.3 21.3 0 0 0 .6 5"/><path d="M17 17H3s3-2 3-9a4.67 4.67 0 0 1 .3-1.7"/><path d="M10.3 21a1.94 1.94 0 0 0 3.4 0"/><line x1="2" y1="2" x2="22" y2="22"/>',
+    label: 'Bell Off'
+  },
+  'mouse-pointer': {
+    path: '<path d="m3 3 7.07 16.97 2.51-7.39 7.39-2.51L3 3z"/><path d="m13 13 6 6"/>',
+    label: 'Mouse Pointer'
+  },
+  users: {
+    path: '<path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M22 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/>',
+    label: 'Users'
+  },
+  aperture: {
+    path: '<circle cx="12" cy="12" r="10"/><path d="m14.31 8 5.74 9.94"/><path d="M9.69 8h11.48"/><path d="m7.38 12 5.74-9.94"/><path d="M9.69 16 3.95 6.06"/><path d="M14.31 16H2.83"/><path d="m16.62 12-5.74 9.94"/>',
+    label: 'Aperture'
+  },
+  sparkle: {
+    path: '<path d="M9.937 15.5A2 2 0 0 0 8.5 14.063l-6.135-1.582a.5.5 0 0 1 0-.962L8.5 9.936A2 2 0 0 0 9.937 8.5l1.582-6.135a.5.5 0 0 1 .963 0L14.063 8.5A2 2 0 0 0 15.5 9.937l6.135 1.581a.5.5 0 0 1 0 .964L15.5 14.063a2 2 0 0 0-1.437 1.437l-1.582 6.135a.5.5 0 0 1-.963 0z"/>',
+    label: 'Sparkle'
+  },
+  'message-square': {
+    path: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>',
+    label: 'Message Square'
+  },
+  'chevron-right': {
+    path: '<polyline points="9 18 15 12 9 6"/>',
+    label: 'Chevron Right'
+  },
   clock: {
     path: '<circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>',
     label: 'Clock'
@@ -163,6 +217,26 @@ const SVG_DEFAULTS = {
   strokeLinejoin: 'round',
 };
 
+// SVG attributes that must preserve their exact casing
+const PRESERVE_CASE = ['viewBox', 'xmlns'];
+
+/**
+ * Build an SVG attribute string
+ * @param {object} attrs - Attributes (camelCase keys become kebab-case)
+ * @returns {string}
+ */
+function getAttrString(attrs) {
+  return Object.entries(attrs)
+    .map(([k, v]) => {
+      // Preserve case for special SVG attributes, convert others to kebab-case
+      const key = PRESERVE_CASE.includes(k)
+        ? k
+        : k.replace(/([A-Z])/g, '-$1').toLowerCase();
+      return `${key}="${v}"`;
+    })
+    .join(' ');
+}
+
 /**
  * Get SVG markup for an icon
  * @param {string} name - Icon name
@@ -184,20 +258,39 @@ function getIconSvg(name, size = 16, attrs = {}) {
     ...attrs,
   };
 
-  // SVG attributes that must preserve their exact casing
-  const preserveCase = ['viewBox', 'xmlns'];
+  return `<svg ${getAttrString(mergedAttrs)}>${icon.path}</svg>`;
+}
 
-  const attrString = Object.entries(mergedAttrs)
-    .map(([k, v]) => {
-      // Preserve case for special SVG attributes, convert others to kebab-case
-      const key = preserveCase.includes(k)
-        ? k
-        : k.replace(/([A-Z])/g, '-$1').toLowerCase();
-      return `${key}="${v}"`;
-    })
-    .join(' ');
+/**
+ * Get SVG markup for a sparkline (a line chart without axes)
+ * Drawn in currentColor like the icons, with a faint area under the line
+ * @param {number[]} values - Data points, oldest first
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {object} options - { max: top of the scale (at least the largest value), attrs: additional SVG attributes }
+ * @returns {string} SVG markup ('' for fewer than two points)
+ */
+function getSparklineSvg(values, width = 48, height = 12, options = {}) {
+  if (!values || values.length < 2) return '';
+
+  const max = Math.max(options.max || 0, ...values) || 1;
+  const step = width / (values.length - 1);
+  // Keep the stroke inside the box at both ends of the scale
+  const y = value => (height - 1 - (value / max) * (height - 2)).toFixed(1);
+  const points = values.map((value, i) => `${(i * step).toFixed(1)},${y(value)}`).join(' ');
+
+  const mergedAttrs = {
+    ...SVG_DEFAULTS,
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    strokeWidth: '1',
+    ...options.attrs,
+  };
 
-  return `<svg ${attrString}>${icon.path}</svg>`;
+  return `<svg ${getAttrString(mergedAttrs)}>` +
+    `<polygon points="0,${height} ${points} ${width},${height}" fill="currentColor" stroke="none" opacity="0.2"/>` +
+    `<polyline points="${points}"/></svg>`;
 }
 
 /**
@@ -221,6 +314,7 @@ module.exports = {
   ICONS,
   SVG_DEFAULTS,
   getIconSvg,
+  getSparklineSvg,
   getIconNames,
   hasIcon,
 };
@@ -1,6 +1,17 @@
-const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const processInfo = require('./process-info');
+const shellIntegration = require('./shell-integration');
+const gitStatus = require('./git-status');
+const gitWorktree = require('./git-worktree');
+const notifications = require('./notifications');
+const hooksBridge = require('./hooks-bridge');
+const claudeTranscripts = require('./claude-transcripts');
+const usageTracker = require('./usage-tracker');
+const stateTimeline = require('./state-timeline');
+const outputRate = require('./output-rate');
+const outputRules = require('./output-rules');
+const ansiStream = require('./ansi-stream');
 
 // Development logging - set to true to enable file logging
 const DEV_LOGGING = true;
@@ -9,12 +20,20 @@ const DEV_LOGGING = true;
 const UTILS_PATH = path.join(__dirname, 'utils.js');
 const CLAUDE_DETECTION_PATH = path.join(__dirname, 'claude-detection.js');
 
+// User assistant definitions (`sessionSidebar.assistants`, set in decorateConfig)
+let userAssistants = [];
+
 // Helper to get fresh claude detection module (supports hot-reload)
+// A fresh module only knows the built-in assistants, so the user's are re-applied
 const getClaudeDetection = () => {
   if (DEV_LOGGING) {
     delete require.cache[require.resolve(CLAUDE_DETECTION_PATH)];
   }
-  return require(CLAUDE_DETECTION_PATH);
+  const detection = require(CLAUDE_DETECTION_PATH);
+  if (detection.getAssistantConfig() !== userAssistants) {
+    detection.configureAssistants(userAssistants);
+  }
+  return detection;
 };
 
 // Helper to get fresh utils (supports hot-reload)
@@ -56,18 +75,40 @@ const defaultConfig = {
   width: 220,
   position: 'left', // 'left' or 'right'
   showGit: true,
+  gitConcurrency: 2, // Max concurrent git subprocesses
+  // Worktree launcher
+  worktreeDir: '',               // Where new worktrees go ('' = <repo>-worktrees next to the main checkout)
+  worktreeCommand: '',           // Command to run in a new worktree tab (e.g. 'claude')
+  // Desktop notifications (background sessions only)
+  notifications: true,           // Master switch
+  notifyOnWaiting: true,         // Notify when an AI agent goes from working to waiting
+  notifyCommandThreshold: 30000, // ms a command must run before its completion is notified (0 = off)
+  notificationCooldown: 30000,   // Min ms between notifications for the same session
+  notificationRateLimit: 6,      // Max notifications per minute across all sessions
   showCwd: true,
   showShellLauncher: true,
   showPid: true,
+  showTimeline: true,            // State timeline strip with time-in-state totals on hover
+  showSparkline: true,           // Output rate sparkline in the status bar
   activityTimeout: 1500, // ms to show activity indicator
   opacity: 0.9,
   opacityHover: 1,
-  // View mode: 'default' | 'compact' | 'micro'
+  // View mode: 'default' | 'compact' | 'micro' | 'agents'
   viewMode: 'compact',
   // Activity detection options
   enableClaudeDetection: true,   // Auto-detect Claude Code sessions
   claudeIdleTimeout: 5000,       // ms before working -> waiting transition
   showActivityGlyph: true,       // Show activity glyph (dot/icon)
+  // Shell integration (OSC 7 / OSC 133 / session labels)
+  autoShellIntegration: false,   // Inject the integration script into every new session
+  shellIntegrationKeymap: '',    // Accelerator to inject into the active session (e.g. 'ctrl+alt+i')
+  // Permission prompt quick replies
+  approveKeymap: '',             // Accelerator that approves the most recently blocked agent (e.g. 'ctrl+alt+y')
+  // Claude Code hooks bridge (exact agent state from scripts/claude-hook.js)
+  hooksBridge: true,
+  claudeTranscripts: true,       // Read ~/.claude/projects transcripts (task title, model, tools, tokens)
+  // Spend warnings in USD (0 = off): { session, daily }
+  costBudget: { session: 0, daily: 0 },
   // Theme colors - if not set, will be derived from Hyper's theme
   theme: {
     // These will be populated from Hyper config if not overridden
@@ -138,69 +179,256 @@ let configuredShells = [];
 // Store keymap prefix for shell shortcuts (e.g., 'ctrl+shift')
 let shellKeymapPrefix = '';
 
+// Create the tracking record for a session
+const createSessionState = (uid, pid, shell, title) => ({
+  uid,
+  pid,
+  shell,
+  title: title || '',
+  cwd: '',
+  cwdSource: null,             // Which resolver/pattern produced cwd (e.g. 'proc:foreground', 'OSC 7')
+  cwdPriority: 0,
+  git: gitStatus.createEmptyStatus(),
+  _pendingGitFetch: false,     // Git status skipped while off screen - fetch when visible
+  hasActivity: false,
+  activityTime: null,
+  lastOutput: '',
+  ansiStream: ansiStream.createAnsiStream(),  // Line buffer and escape parser feeding the detectors
+  lastOutputLine: '',          // Last printable line, used in notifications
+  lastOutputType: null,        // 'error' | 'warning' | 'success' | 'progress' from output heuristics
+  lastOutputTypeTime: null,
+  notificationsMuted: false,
+  detectedActivity: null,
+  // Activity tracking fields
+  activityType: 'idle',        // 'idle' | 'output' | 'typing' | 'command'
+  activityIntensity: 0,        // 0-100 for visual intensity
+  lastOutputTime: null,
+  outputBurstCount: 0,
+  outputRate: outputRate.createRateBuffer(),  // Output per second, last 5 minutes (see output-rate.js)
+  stateHistory: [],            // Transitions: { time, activityType, claudeState, assistantId, state } (see state-timeline.js)
+  stateTotals: {},             // ms spent per timeline state, for the whole session
+  // Foreground process ({ pid, name, comm, argv, startTime, isShell }), Linux/macOS only
+  foregroundProcess: null,
+  _nativeRefreshTime: 0,       // Last native CWD/process refresh (see refreshNativeInfo)
+  // Shell integration (OSC 133) fields
+  shellIntegration: false,     // true once the shell emits semantic prompt marks
+  label: null,                 // Set by `sidebar_label` in the shipped shell scripts
+  promptActive: false,
+  currentCommand: null,        // { command, cwd, startTime }
+  lastCommand: null,           // { command, cwd, startTime, endTime, duration, exitCode }
+  commandHistory: [],
+  _commandInput: null,         // Echoed command line between the B and C marks (null outside them)
+  _commandLine: null,          // Command line reported by an OSC 633 E mark
+  _integrationInjected: false, // Integration script typed into this shell already
+  _integrationTimer: null,     // Pending auto-injection (see maybeAutoInjectShellIntegration)
+  // Worktree launch: { cwd, command } typed once the new shell is quiet
+  pendingStartup: null,
+  _startupTimer: null,
+  // AI Assistant detection fields (Claude, Cursor, etc.)
+  aiConfidence: null,          // { assistantId, score, threshold, scores } detection evidence (for debugging)
+  _aiEvidence: null,           // Evidence in the detection window (see claude-detection.js)
+  aiStartTime: null,           // When the current assistant run was detected
+  assistantHistory: [],        // Finished runs: { assistantId, startTime, endTime, duration, reason, sessionId }
+  aiAssistantId: null,         // 'claude' | 'codex' | 'gemini' | 'cursor' | 'copilot-cli' | 'aider' | user-defined id | null
+  claudeDetected: false,       // Legacy: true if Claude specifically
+  claudeState: null,           // 'working' | 'thinking' | 'waiting' | 'needs-approval' | 'idle'
+  claudeSpinnerPhase: null,
+  claudeLastActivity: null,
+  claudeLastStateChange: null,
+  pendingApproval: null,       // { tool, subject, question, options, assistantId, detectedAt }
+  _approvalBuffer: '',         // Recent output lines, for dialogs split across chunks
+  _notifiedAgentState: null,   // claudeState at the last notification check
+  hookBridge: null,            // { sessionId, transcriptPath, lastEvent, lastEventTime } once Claude hooks report
+  currentTool: null,           // { name, subject, startTime } from PreToolUse hook events
+  transcript: null,            // Claude Code transcript summary (see claude-transcripts.js)
+  _transcriptSince: null,      // Transcripts older than this belong to an earlier run
+  usage: null,                 // { tokens, cost } estimated spend (see usage-tracker.js)
+  overBudget: false,           // Session cost passed costBudget.session
+  ruleMarks: {},               // { badge, color, attention }: { value, rule, line, clearOnPrompt, time } from sessionSidebar.rules
+});
+
+// End a session's AI assistant run once the shell is back (see updateAIAssistantExit)
+const endAssistantRun = (uid, reason, now = Date.now()) => {
+  const session = sessions[uid];
+  if (!session || !session.aiAssistantId) return;
+
+  const entry = getClaudeDetection().updateAIAssistantExit(session, reason, now);
+  if (entry) {
+    logAssistantExit(uid, entry);
+    stateTimeline.recordStateChange(session, now);
+  }
+};
+
+const logAssistantExit = (uid, entry) => {
+  log('AI assistant exited:', {
+    uid: uid.substring(0, 8),
+    assistant: entry.assistantId,
+    reason: entry.reason,
+    duration: entry.duration
+  });
+};
+
+// Native CWD resolution (/proc on Linux, lsof on macOS) outranks every
+// output pattern - it reads the real cwd instead of guessing from prompts
+const NATIVE_CWD_PRIORITY = 110;
+const NATIVE_REFRESH_INTERVAL = 2000;  // ms between native CWD/process refreshes
+const NATIVE_BACKGROUND_INTERVAL = 10000;  // ms between refreshes of background tabs where each one spawns ps/lsof (macOS)
+let nativeRefreshInterval = null;
+const cwdRefreshPending = {};
+const processRefreshPending = {};
+
+// Apply a CWD candidate to a session, recording which source produced it
+const updateSessionCwd = (uid, cwd, source, priority) => {
+  const session = sessions[uid];
+  if (!session || !cwd) return;
+
+  session.cwdSource = source;
+  session.cwdPriority = priority;
+  if (cwd !== session.cwd) {
+    log(`CWD updated [${source}] (priority ${priority}):`, cwd);
+    session.cwd = cwd;
+    getGitInfo(uid, cwd);
+  }
+};
+
 // Get current working directory for a session
 const getCwd = (uid, pid, callback) => {
-  if (!pid) {
+  if (!pid || !processInfo.isSupported()) {
+    // Windows: CWD detection is handled via terminal output parsing
     if (callback) callback();
     return;
   }
 
-  if (process.platform === 'win32') {
-    // Windows: CWD detection is handled via terminal output parsing
+  if (cwdRefreshPending[uid]) {
     if (callback) callback();
-  } else {
-    // Unix: Use lsof
-    exec(`lsof -p ${pid} | awk '$4=="cwd"' | tr -s ' ' | cut -d ' ' -f9-`, (err, stdout) => {
-      if (!err && sessions[uid]) {
-        sessions[uid].cwd = stdout.trim();
-        getGitInfo(uid, sessions[uid].cwd);
-      }
-      if (callback) callback();
-    });
+    return;
   }
+  cwdRefreshPending[uid] = true;
+
+  processInfo.resolveCwd(pid).then((result) => {
+    delete cwdRefreshPending[uid];
+    if (result && sessions[uid]) {
+      updateSessionCwd(uid, result.path, result.source, NATIVE_CWD_PRIORITY);
+    }
+    if (callback) callback();
+  });
+};
+
+// Resolve the foreground process of a session (vim, node, ssh, claude...)
+const getForegroundProcess = (uid, pid) => {
+  if (!pid || !processInfo.isSupported() || processRefreshPending[uid]) return;
+  processRefreshPending[uid] = true;
+
+  processInfo.resolveForegroundProcess(pid).then((proc) => {
+    delete processRefreshPending[uid];
+    const session = sessions[uid];
+    if (!session || !proc) return;
+
+    const previous = session.foregroundProcess;
+    if (!previous || previous.pid !== proc.pid || previous.name !== proc.name) {
+      log('Foreground process:', { uid: uid.substring(0, 8), name: proc.name, pid: proc.pid });
+    }
+    session.foregroundProcess = proc;
+
+    // A process named `claude`/`aider` is the strongest AI assistant signal.
+    // The assistant exited when the shell is back in front, or when the
+    // assistant's own process was replaced by something else
+    if (pluginConfig.enableClaudeDetection !== false) {
+      const detection = getClaudeDetection();
+      if (detection.updateAIAssistantFromProcess(session, proc, Date.now())) {
+        log('AI assistant detected from process:', { uid: uid.substring(0, 8), assistant: session.aiAssistantId });
+      } else if (proc.isShell || (previous && previous.pid !== proc.pid &&
+          !detection.detectAIAssistantFromProcess(proc).detected &&
+          detection.detectAIAssistantFromProcess(previous).assistantId === session.aiAssistantId)) {
+        endAssistantRun(uid, 'process');
+      }
+      stateTimeline.recordStateChange(session, Date.now());
+    }
+  });
+};
+
+// Refresh native CWD and foreground process for every session
+// (cheap on Linux: a handful of /proc reads each). On macOS every refresh
+// spawns ps and lsof, so only the active tab is refreshed on every tick
+const refreshNativeInfo = () => {
+  const now = Date.now();
+  const throttle = processInfo.spawnsProcesses();
+  Object.keys(sessions).forEach((uid) => {
+    const session = sessions[uid];
+    if (throttle && uid !== activeUid && now - session._nativeRefreshTime < NATIVE_BACKGROUND_INTERVAL) return;
+    session._nativeRefreshTime = now;
+    getCwd(uid, session.pid);
+    getForegroundProcess(uid, session.pid);
+  });
 };
 
+// =============================================================================
+// CWD TRANSFORMS
+// Named path transforms, referenced by built-in patterns and by user patterns
+// declared in `sessionSidebar.cwdPatterns` (transform: 'name' or ['a', 'b'])
+// =============================================================================
+const getHomePath = () => process.env.USERPROFILE || process.env.HOME || '';
+
+const CWD_TRANSFORMS = {
+  // file://host/c/Users%20x -> C:\Users x (Unix paths are only decoded)
+  fileUrl: (path) => {
+    const decoded = decodeURIComponent(path);
+    return /^\/[a-z]\//i.test(decoded) ? CWD_TRANSFORMS.msysToWindows(decoded) : decoded;
+  },
+  // MSYS/Git Bash drive paths: /c/Users/x -> C:\Users\x
+  msysToWindows: (path) => {
+    if (!/^\/[a-z](?:\/|$)/i.test(path)) return path;
+    return path[1].toUpperCase() + ':' + (path.slice(2) || '\\').replace(/\//g, '\\');
+  },
+  // ~/src -> /home/me/src
+  expandTilde: (path) => (/^~(?=$|[\\/])/.test(path) ? getHomePath() + path.slice(1) : path),
+  toBackslashes: (path) => path.replace(/\//g, '\\'),
+  toForwardSlashes: (path) => path.replace(/\\/g, '/'),
+  trimTrailingSeparator: (path) => (path.length > 1 ? path.replace(/(?<!^[A-Za-z]:)[\\/]+$/, '') : path),
+};
+
+// Skip system/program directories - these are shell install paths, not CWDs
+const skipSystemPaths = (path) => /\\windows\\|\\system32\\|\\program files/i.test(path);
+
 // =============================================================================
 // CWD DETECTION PATTERNS
 // Each pattern has: name, priority (higher = more reliable), regex, transform, skipIf
+// and promptOnly (only a shell prompt draws it - a match ends a running AI assistant)
+// Patterns with `osc` are matched against OSC sequences parsed by ansi-stream.js
+// (code, and a regex for the payload) instead of the raw output
 // Patterns are scored by priority - highest priority match wins
+// Users can add, override or disable patterns by name in `sessionSidebar.cwdPatterns`
 // =============================================================================
 const cwdPatterns = [
   {
     name: 'OSC 7',
     description: 'Standard terminal CWD escape sequence',
     priority: 100,  // Most reliable - explicit CWD reporting
-    regex: /\x1b\]7;file:\/\/[^\/]*([^\x07\x1b]+)(?:\x07|\x1b\\)/,
-    transform: (match) => {
-      let path = decodeURIComponent(match);
-      // Convert Unix path to Windows if needed (e.g., /c/Users -> C:\Users)
-      if (path.match(/^\/[a-z]\//i)) {
-        path = path[1].toUpperCase() + ':' + path.slice(2).replace(/\//g, '\\');
-      }
-      return path;
-    }
+    osc: { code: '7', regex: /^file:\/\/[^\/]*(.+)$/ },
+    transform: 'fileUrl',
+    promptOnly: true,
   },
   {
     name: 'OSC 9;9',
     description: 'Windows Terminal style CWD escape sequence',
     priority: 98,  // Very reliable - WT specific
-    regex: /\x1b\]9;9;([^\x07\x1b]+)(?:\x07|\x1b\\)/,
+    osc: { code: '9', regex: /^9;([^"].*)$/ },
+    promptOnly: true,
   },
   {
     name: 'ConPTY',
     description: 'Windows Terminal ConPTY quoted path',
     priority: 97,  // Very reliable - ConPTY specific
-    regex: /\x1b\]9;9;"([^"]+)"\x1b\\/,
+    osc: { code: '9', regex: /^9;"([^"]+)"$/ },
+    promptOnly: true,
   },
   {
     name: 'MINGW',
     description: 'Git Bash MINGW prompt with path',
     priority: 85,  // Reliable - explicit in title/prompt
     regex: /MINGW\d*\s+(\/[a-z](?:\/[^\s\r\n$]*)?)/i,
-    transform: (match) => {
-      const drive = match[1].toUpperCase();
-      return drive + ':' + (match.slice(2) || '\\').replace(/\//g, '\\');
-    }
+    transform: 'msysToWindows',
+    promptOnly: true,
   },
   {
     name: 'PS Prompt',
@@ -219,43 +447,362 @@ const cwdPatterns = [
     description: 'Standard CMD "path>" prompt',
     priority: 60,  // Moderate - common but can have false positives
     regex: /^([A-Za-z]:\\[^\r\n>]*)>/m,
-    skipIf: (path) => /\\windows\\|\\system32\\|\\program files/i.test(path),
+    skipIf: skipSystemPaths,
   },
   {
     name: 'Tilde Prompt',
     description: 'Custom prompt with ~ path (Oh My Posh, Starship, etc.)',
     priority: 55,  // Moderate - needs home expansion
     regex: /\x1b\[\d*m\s*(~(?:[\\\/][^\s\r\n\x1b❯>$#]*)?)\s*\x1b/,
-    transform: (match) => {
-      const homePath = process.env.USERPROFILE || process.env.HOME || '';
-      let path = match === '~' ? homePath : match.replace(/^~/, homePath);
-      return path.replace(/\//g, '\\');
-    }
+    transform: ['expandTilde', 'toBackslashes'],
   },
   {
     name: 'Full Windows Path',
     description: 'Full Windows path in colored prompt',
     priority: 40,  // Lower - generic pattern, more false positives
     regex: /\x1b\[\d*m\s*([A-Za-z]:\\[^\s\r\n\x1b❯>$#]*)/,
-    skipIf: (path) => /\\windows\\|\\system32\\|\\program files/i.test(path),
+    skipIf: skipSystemPaths,
   },
   {
     name: 'Unix Path',
     description: 'Git Bash Unix-style path (/c/path)',
     priority: 35,  // Lower - can match partial paths
     regex: /(?:^|[\s\x1b\[\]0-9;m]+)(\/[a-z]\/[^\s\r\n\x1b❯>$#]*)/im,
-    transform: (match) => {
-      const drive = match[1].toUpperCase();
-      return drive + ':' + (match.slice(2) || '\\').replace(/\//g, '\\');
-    }
+    transform: 'msysToWindows',
   },
 ];
 
-// Pre-compile regex patterns for performance
-const compiledCwdPatterns = cwdPatterns.map(p => ({
-  ...p,
-  compiled: new RegExp(p.regex.source, p.regex.flags)
-}));
+// Resolve a transform declaration (name, list of names or function) to a function
+const resolveCwdTransform = (transform) => {
+  if (!transform) return null;
+  if (typeof transform === 'function') return transform;
+  const names = Array.isArray(transform) ? transform : [transform];
+  return (path) => names.reduce((result, name) => CWD_TRANSFORMS[name](result), path);
+};
+
+// Pre-compile a pattern for performance
+const compileCwdPattern = (pattern) => ({
+  ...pattern,
+  compiled: pattern.regex ? new RegExp(pattern.regex.source, pattern.regex.flags) : null,
+  transform: resolveCwdTransform(pattern.transform),
+});
+
+/**
+ * Validate one user pattern from `sessionSidebar.cwdPatterns`
+ * { name, priority, regex: 'string', flags, transform, skipIf: 'regex string', disabled }
+ * User patterns have no `osc` field: they match the raw output, escapes included
+ * @returns {{ pattern: Object|null, error: string|null }}
+ */
+const validateUserCwdPattern = (entry, index) => {
+  const label = entry && entry.name ? `"${entry.name}"` : `#${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    return { pattern: null, error: `cwdPatterns ${label}: must be an object` };
+  }
+  if (typeof entry.name !== 'string' || !entry.name) {
+    return { pattern: null, error: `cwdPatterns ${label}: "name" is required` };
+  }
+  if (entry.disabled) {
+    return { pattern: { name: entry.name, disabled: true }, error: null };
+  }
+  if (typeof entry.regex !== 'string' || !entry.regex) {
+    return { pattern: null, error: `cwdPatterns ${label}: "regex" must be a non-empty string` };
+  }
+
+  let regex;
+  let skipRegex = null;
+  let groups;
+  try {
+    // g/y would make match() return whole matches instead of groups
+    regex = new RegExp(entry.regex, (entry.flags || '').replace(/[gy]/g, ''));
+    if (entry.skipIf) skipRegex = new RegExp(entry.skipIf, 'i');
+    // The path is read from capture group 1 (an alternation with '' counts the groups)
+    groups = new RegExp(`${regex.source}|`, regex.flags).exec('').length - 1;
+  } catch (e) {
+    return { pattern: null, error: `cwdPatterns ${label}: invalid regex - ${e.message}` };
+  }
+
+  if (groups < 1) {
+    return { pattern: null, error: `cwdPatterns ${label}: regex needs a capture group for the path` };
+  }
+
+  const transforms = entry.transform ? [].concat(entry.transform) : [];
+  const unknown = transforms.filter(name => !CWD_TRANSFORMS[name]);
+  if (unknown.length > 0) {
+    return {
+      pattern: null,
+      error: `cwdPatterns ${label}: unknown transform ${unknown.join(', ')} (available: ${Object.keys(CWD_TRANSFORMS).join(', ')})`
+    };
+  }
+
+  const priority = Number(entry.priority);
+  return {
+    pattern: {
+      name: entry.name,
+      description: entry.description || 'User-defined pattern',
+      priority: Number.isFinite(priority) ? priority : 50,
+      regex,
+      transform: transforms.length > 0 ? transforms : null,
+      skipIf: skipRegex ? (path) => skipRegex.test(path) : null,
+    },
+    error: null,
+  };
+};
+
+/**
+ * Merge built-in patterns with user patterns: same name overrides a built-in,
+ * `disabled: true` removes it, anything else is added
+ * @param {Array} userPatterns - `sessionSidebar.cwdPatterns`
+ * @returns {{ patterns: Array, errors: string[] }}
+ */
+const buildCwdPatterns = (userPatterns) => {
+  const errors = [];
+  const merged = cwdPatterns.slice();
+
+  if (userPatterns && !Array.isArray(userPatterns)) {
+    errors.push('cwdPatterns must be an array');
+  } else {
+    (userPatterns || []).forEach((entry, index) => {
+      const { pattern, error } = validateUserCwdPattern(entry, index);
+      if (error) {
+        errors.push(error);
+        return;
+      }
+
+      const existing = merged.findIndex(p => p.name === pattern.name);
+      if (pattern.disabled) {
+        if (existing === -1) {
+          errors.push(`cwdPatterns "${pattern.name}": no pattern with that name to disable`);
+        } else {
+          merged.splice(existing, 1);
+        }
+      } else if (existing !== -1) {
+        merged[existing] = pattern;
+      } else {
+        merged.push(pattern);
+      }
+    });
+  }
+
+  return { patterns: merged.map(compileCwdPattern), errors };
+};
+
+// Active compiled patterns (rebuilt in decorateConfig when user patterns change)
+let compiledCwdPatterns = buildCwdPatterns().patterns;
+let cwdPatternErrors = [];
+let cwdPatternConfigKey = null;
+
+// Rebuild patterns from config; bad entries are reported and skipped, never thrown
+const applyCwdPatternConfig = (userPatterns) => {
+  let key;
+  try {
+    key = JSON.stringify(userPatterns || []);
+  } catch (e) {
+    key = String(Date.now());
+  }
+  if (key === cwdPatternConfigKey) return;
+  cwdPatternConfigKey = key;
+
+  const { patterns, errors } = buildCwdPatterns(userPatterns);
+  compiledCwdPatterns = patterns;
+  cwdPatternErrors = errors;
+
+  if (errors.length > 0) {
+    errors.forEach((error) => {
+      log('Invalid CWD pattern:', error);
+      console.warn('[hyper-session-sidebar]', error);
+    });
+  }
+  if (userPatterns && userPatterns.length > 0) {
+    log('CWD patterns loaded:', compiledCwdPatterns.map(p => `${p.name} (${p.priority})`));
+  }
+};
+
+// User assistant definitions: errors from the last config change
+let assistantConfigErrors = [];
+let assistantConfigKey = null;
+
+// Register user-defined assistants; bad entries are reported and skipped, never thrown
+const applyAssistantConfig = (entries) => {
+  let key;
+  try {
+    key = JSON.stringify(entries || [], (k, value) => (value instanceof RegExp ? String(value) : value));
+  } catch (e) {
+    key = String(Date.now());
+  }
+  if (key === assistantConfigKey) return;
+  assistantConfigKey = key;
+
+  userAssistants = entries || [];
+  const { assistants, errors } = getClaudeDetection().configureAssistants(userAssistants);
+  assistantConfigErrors = errors;
+
+  errors.forEach((error) => {
+    log('Invalid assistant definition:', error);
+    console.warn('[hyper-session-sidebar]', error);
+  });
+  if (userAssistants.length > 0) {
+    log('AI assistants loaded:', assistants.map(a => a.id));
+  }
+};
+
+// =============================================================================
+// SHELL INTEGRATION (OSC 133 / FinalTerm semantic prompt marks)
+// Emitted by iTerm2, WezTerm, VS Code, starship and fish shell integrations:
+//   A = prompt start, B = command input start, C = command executed,
+//   D[;exit] = command finished. VS Code's OSC 633 uses the same letters
+//   plus E;<command line>, which is preferred over the echoed input.
+// =============================================================================
+const SHELL_INTEGRATION_REGEX = /\x1b\](133|633);([A-Z])([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+// `sidebar_label` from the shipped scripts: ESC ] 6973 ; label=<text> BEL
+const SESSION_LABEL_REGEX = new RegExp(
+  `\\x1b\\]${shellIntegration.SESSION_LABEL_OSC};label=([^\\x07\\x1b]*)(?:\\x07|\\x1b\\\\)`, 'g'
+);
+const COMMAND_HISTORY_LIMIT = 50;   // Rolling per-session command history
+const SHELL_MARK_CARRY_LIMIT = 512; // Max bytes of a split sequence to carry over
+
+// Strip escape sequences and apply backspaces to recover typed command text
+const ANSI_REGEX = /\x1b(?:\[[0-?]*[ -\/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[@-Z\\-_])/g;
+const cleanCommandText = (text) => {
+  let result = '';
+  for (const ch of text.replace(ANSI_REGEX, '')) {
+    if (ch === '\b' || ch === '\x7f') {
+      result = result.slice(0, -1);
+    } else if (ch >= ' ') {
+      result += ch;
+    }
+  }
+  return result.trim();
+};
+
+// OSC 633;E escapes ';' and '\' as \x3b / \\
+const decodeCommandLine = (payload) => {
+  return payload.replace(/\\(?:\\|x([0-9a-f]{2}))/gi, (m, hex) => (
+    hex ? String.fromCharCode(parseInt(hex, 16)) : '\\'
+  ));
+};
+
+// Close the running command and append it to the session's history
+const finishCommand = (session, exitCode, now) => {
+  const current = session.currentCommand;
+  if (!current) return null;
+
+  const entry = {
+    command: current.command,
+    cwd: current.cwd,
+    startTime: current.startTime,
+    endTime: now,
+    duration: now - current.startTime,
+    exitCode,
+  };
+  session.currentCommand = null;
+  session.lastCommand = entry;
+  session.commandHistory = (session.commandHistory || []).concat(entry).slice(-COMMAND_HISTORY_LIMIT);
+
+  // Exit status replaces the keyword heuristics for the output indicator
+  if (exitCode !== null) {
+    session.lastOutputType = exitCode === 0 ? 'success' : 'error';
+    session.lastOutputTypeTime = now;
+  }
+  return entry;
+};
+
+// Parse OSC 133/633 marks and track command start/end, exit codes and durations
+const shellMarkCarry = {};
+const parseShellIntegration = (uid, data, now) => {
+  const session = sessions[uid];
+  if (!session) return;
+
+  let text = (shellMarkCarry[uid] || '') + data;
+  shellMarkCarry[uid] = '';
+
+  // Carry an unterminated OSC over to the next chunk
+  const lastOsc = text.lastIndexOf('\x1b]');
+  if (lastOsc !== -1 && !/\x07|\x1b\\/.test(text.slice(lastOsc + 2))) {
+    const tail = text.slice(lastOsc);
+    if (tail.length <= SHELL_MARK_CARRY_LIMIT) {
+      shellMarkCarry[uid] = tail;
+    }
+    text = text.slice(0, lastOsc);
+  }
+
+  // Session label (last one in the chunk wins, empty clears it)
+  let labelMatch;
+  SESSION_LABEL_REGEX.lastIndex = 0;
+  while ((labelMatch = SESSION_LABEL_REGEX.exec(text)) !== null) {
+    session.label = labelMatch[1].trim() || null;
+    log('Session label:', { uid: uid.substring(0, 8), label: session.label });
+  }
+
+  if (!text.includes('\x1b]133;') && !text.includes('\x1b]633;')) {
+    if (session._commandInput !== null) {
+      session._commandInput += text;
+    }
+    return;
+  }
+
+  session.shellIntegration = true;
+  let position = 0;
+  SHELL_INTEGRATION_REGEX.lastIndex = 0;
+  let match;
+  while ((match = SHELL_INTEGRATION_REGEX.exec(text)) !== null) {
+    // Text between B and C is the echoed command line
+    if (session._commandInput !== null) {
+      session._commandInput += text.slice(position, match.index);
+    }
+    position = match.index + match[0].length;
+
+    const mark = match[2];
+    const params = match[3].replace(/^;/, '');
+
+    switch (mark) {
+    case 'A':
+      // Prompt start - a command without a D mark ended without an exit code
+      if (session.currentCommand) {
+        finishCommand(session, null, now);
+      }
+      session.promptActive = true;
+      // Only the interactive shell draws prompts, so an assistant has exited
+      endAssistantRun(uid, 'prompt', now);
+      clearPromptRuleMarks(uid);
+      break;
+    case 'B':
+      session._commandInput = '';
+      session._commandLine = null;
+      break;
+    case 'E':
+      session._commandLine = decodeCommandLine(params.split(';')[0]);
+      break;
+    case 'C': {
+      const command = session._commandLine || cleanCommandText(session._commandInput || '');
+      session.currentCommand = { command, cwd: session.cwd, startTime: now };
+      session.promptActive = false;
+      session._commandInput = null;
+      session._commandLine = null;
+      break;
+    }
+    case 'D': {
+      const exitCode = /^-?\d+/.test(params) ? parseInt(params, 10) : null;
+      const entry = finishCommand(session, exitCode, now);
+      if (entry) {
+        log('Command finished:', {
+          uid: uid.substring(0, 8),
+          command: entry.command,
+          exitCode: entry.exitCode,
+          duration: entry.duration
+        });
+        checkCommandNotification(uid, entry);
+      }
+      // The command may have edited, created or deleted tracked files
+      refreshGitStatus(uid);
+      break;
+    }
+    }
+  }
+
+  if (session._commandInput !== null) {
+    session._commandInput += text.slice(position);
+  }
+};
 
 // =============================================================================
 // OUTPUT TYPE PATTERNS - Detect error/warning/success for color-coded indicators
@@ -265,27 +812,24 @@ const OUTPUT_PATTERNS = {
     patterns: [
       /\b(error|failed|failure|exception|fatal|denied|refused|cannot|unable)\b/i,
       /\bERR[!:]/,
-      /\x1b\[31m/,  // Red ANSI
-      /\x1b\[91m/,  // Bright red ANSI
     ],
+    colors: [1, 9],  // Red, bright red
     color: 'error'
   },
   warning: {
     patterns: [
       /\b(warn|warning|deprecated|caution)\b/i,
       /\bWARN[!:]/,
-      /\x1b\[33m/,  // Yellow ANSI
-      /\x1b\[93m/,  // Bright yellow ANSI
     ],
+    colors: [3, 11],  // Yellow, bright yellow
     color: 'warning'
   },
   success: {
     patterns: [
       /\b(success|succeeded|passed|complete|completed|done|ok)\b/i,
-      /\x1b\[32m/,  // Green ANSI
-      /\x1b\[92m/,  // Bright green ANSI
       /✓|✔|√/,
     ],
+    colors: [2, 10],  // Green, bright green
     color: 'success'
   },
   progress: {
@@ -298,11 +842,20 @@ const OUTPUT_PATTERNS = {
   }
 };
 
-// Detect output type from terminal data
-const detectOutputType = (data) => {
+// Text shown in one of the given foreground colors (a color code with
+// nothing printed in it does not count)
+const hasColoredText = (line, colors) => line.spans.some(span =>
+  colors.includes(span.fg) && line.text.slice(span.start, span.end).trim());
+
+// Detect output type from the lines of a chunk (see ansi-stream.js)
+const detectOutputType = (chunk) => {
+  const lines = chunk.partial ? chunk.lines.concat(chunk.partial) : chunk.lines;
   for (const [type, config] of Object.entries(OUTPUT_PATTERNS)) {
-    for (const pattern of config.patterns) {
-      if (pattern.test(data)) {
+    for (const line of lines) {
+      if (config.patterns.some(pattern => pattern.test(line.text))) {
+        return type;
+      }
+      if (config.colors && hasColoredText(line, config.colors)) {
         return type;
       }
     }
@@ -310,41 +863,117 @@ const detectOutputType = (data) => {
   return null;
 };
 
+// =============================================================================
+// OUTPUT RULES (sessionSidebar.rules)
+// User rules that badge, color, flag or notify about a session when its output
+// matches (see output-rules.js)
+// =============================================================================
+let compiledRules = [];
+let ruleConfigErrors = [];
+let ruleConfigKey = null;
+
+// Compile user rules; bad entries are reported and skipped, never thrown
+const applyRuleConfig = (entries) => {
+  let key;
+  try {
+    key = JSON.stringify(entries || [], (k, value) => (value instanceof RegExp ? String(value) : value));
+  } catch (e) {
+    key = String(Date.now());
+  }
+  if (key === ruleConfigKey) return;
+  ruleConfigKey = key;
+
+  const { rules, errors } = outputRules.compileRules(entries);
+  compiledRules = rules;
+  ruleConfigErrors = errors;
+
+  errors.forEach((error) => {
+    log('Invalid rule:', error);
+    console.warn('[hyper-session-sidebar]', error);
+  });
+  if (rules.length > 0) {
+    log('Output rules loaded:', rules.map(rule => rule.name));
+  }
+};
+
+// Run the rules against the lines a chunk of output completed
+const applyOutputRules = (uid, completed, now) => {
+  const session = sessions[uid];
+  if (!session || compiledRules.length === 0) return;
+
+  const lines = completed.map(line => line.text).filter(text => text.trim());
+  if (lines.length === 0) return;
+
+  outputRules.matchRules(compiledRules, session, lines).forEach(({ rule, line }) => {
+    outputRules.applyRule(session, rule, line, now);
+    log('Rule matched:', { uid: uid.substring(0, 8), rule: rule.name, line: line.substring(0, 100) });
+    if (rule.notify) {
+      notifySession(uid, rule.notify === true ? `matched "${rule.name}"` : rule.notify);
+    }
+  });
+};
+
+// The shell drew a prompt: marks of `clearOnPrompt` rules go away
+const clearPromptRuleMarks = (uid) => {
+  const session = sessions[uid];
+  if (session && outputRules.clearRuleMarks(session)) {
+    log('Rule marks cleared at prompt', { uid: uid.substring(0, 8) });
+  }
+};
+
 // Activity burst detection threshold (ms)
 const BURST_THRESHOLD = 250;  // Wider than before (was effectively 100ms)
 
+// Path captured by a pattern, or null
+const matchCwdPattern = (pattern, text, regex) => {
+  const match = text.match(regex);
+  // An optional group may not take part in the match
+  if (!match || match[1] == null) return null;
+
+  let path = match[1].trim();
+
+  // Apply transform if defined
+  if (pattern.transform) {
+    path = pattern.transform(path);
+  }
+
+  // Check skip condition
+  if (pattern.skipIf && pattern.skipIf(path)) {
+    return null;
+  }
+
+  return {
+    path,
+    patternName: pattern.name,
+    priority: pattern.priority,
+    promptOnly: !!pattern.promptOnly
+  };
+};
+
 // Try to extract CWD from terminal data using priority-scored patterns
-const extractCwd = (data) => {
+// data: raw output; oscEvents: OSC sequences from the ANSI stream
+const extractCwd = (data, oscEvents = []) => {
   // Collect all matches with their priorities
   const matches = [];
 
   for (const pattern of compiledCwdPatterns) {
-    const match = data.match(pattern.compiled);
-    if (match) {
-      let path = match[1].trim();
-
-      // Apply transform if defined
-      if (pattern.transform) {
-        path = pattern.transform(path);
-      }
-
-      // Check skip condition
-      if (pattern.skipIf && pattern.skipIf(path)) {
-        continue;
-      }
-
-      matches.push({
-        path,
-        patternName: pattern.name,
-        priority: pattern.priority
+    if (pattern.osc) {
+      oscEvents.forEach((event) => {
+        if (event.code !== pattern.osc.code) return;
+        const match = matchCwdPattern(pattern, event.data, pattern.osc.regex);
+        if (match) matches.push(match);
       });
+    } else {
+      const match = matchCwdPattern(pattern, data, pattern.compiled);
+      if (match) matches.push(match);
     }
   }
 
-  // Return highest priority match
+  // Return highest priority match (a prompt-only pattern matching at all
+  // still means a prompt was drawn)
   if (matches.length > 0) {
     matches.sort((a, b) => b.priority - a.priority);
-    return matches[0];
+    return { ...matches[0], promptOnly: matches.some(match => match.promptOnly) };
   }
 
   return null;
@@ -352,22 +981,36 @@ const extractCwd = (data) => {
 
 // Output buffering for CWD detection (prompts often arrive in chunks)
 const cwdBuffers = {};
+const cwdOscEvents = {};  // OSC sequences since the last extraction (see ansi-stream.js)
 const cwdBufferTimeouts = {};
 const CWD_BUFFER_TIMEOUT = 150;  // ms to wait for complete prompt
+const CWD_OSC_LIMIT = 20;        // OSC sequences kept between extractions
 
 // Process buffered output for CWD extraction
 const processCwdBuffer = (uid) => {
-  if (!sessions[uid] || !cwdBuffers[uid]) return;
+  if (!sessions[uid] || (!cwdBuffers[uid] && !cwdOscEvents[uid])) return;
 
-  const bufferedData = cwdBuffers[uid];
+  const bufferedData = cwdBuffers[uid] || '';
+  const oscEvents = cwdOscEvents[uid] || [];
   cwdBuffers[uid] = '';
+  delete cwdOscEvents[uid];
 
-  const result = extractCwd(bufferedData);
-  if (result && result.path && result.path !== sessions[uid].cwd) {
-    log(`CWD detected [${result.patternName}] (priority ${result.priority || 'n/a'}):`, result.path);
-    sessions[uid].cwd = result.path;
-    getGitInfo(uid, result.path);
+  // The last report wins when several OSC 7 arrived (cd in a script)
+  const result = extractCwd(bufferedData, oscEvents.slice().reverse());
+  if (!result || !result.path) return;
+
+  // A prompt-only pattern (OSC 7, Git Bash prompt...) means the shell is back
+  if (result.promptOnly) {
+    endAssistantRun(uid, 'prompt');
+    clearPromptRuleMarks(uid);
+    // Without OSC 133 marks the prompt is the only sign a command finished
+    if (!sessions[uid].shellIntegration) refreshGitStatus(uid);
   }
+
+  // Output patterns are guesses - never override a natively resolved CWD
+  if (sessions[uid].cwdPriority >= NATIVE_CWD_PRIORITY) return;
+
+  updateSessionCwd(uid, result.path, result.patternName, result.priority);
 };
 
 // Parse terminal output for CWD and activity patterns
@@ -386,20 +1029,36 @@ const parseTerminalOutput = (uid, data) => {
   // Store last output chunk for debugging/future pattern matching
   session.lastOutput = data;
 
+  // Clean lines and parsed escape sequences for the detectors below: split
+  // sequences and words are joined up, colors are spans instead of text
+  const chunk = ansiStream.feedAnsiStream(session.ansiStream, data);
+  const outputLine = lastPrintableLine(chunk);
+  if (outputLine) session.lastOutputLine = outputLine;
+
   // =========================================================================
   // ACTIVITY DETECTION - Track output patterns to determine activity type
   // =========================================================================
 
+  outputRate.recordOutput(session.outputRate, data.length, now);
+
   // Calculate time since last output for intensity tracking
   const timeSinceLastOutput = session.lastOutputTime ? now - session.lastOutputTime : Infinity;
 
-  // Detect output type for color-coded indicators
-  const outputType = data.length > 5 ? detectOutputType(data) : null;
+  // Shell integration marks (OSC 133) give exact command boundaries and exit codes
+  // (parsed from the raw output - the echoed command line between marks is needed)
+  parseShellIntegration(uid, data, now);
+
+  // Detect output type for color-coded indicators (keyword heuristics are
+  // only a fallback - with shell integration the exit status decides)
+  const outputType = data.length > 5 && !session.shellIntegration ? detectOutputType(chunk) : null;
   if (outputType) {
     session.lastOutputType = outputType;
     session.lastOutputTypeTime = now;
   }
 
+  // User rules (badge, color, attention, notification) on completed lines
+  applyOutputRules(uid, chunk.lines, now);
+
   // Determine activity type based on output characteristics
   if (data.length > 5) {
     // Significant output (not just single keystrokes)
@@ -440,7 +1099,12 @@ const parseTerminalOutput = (uid, data) => {
   // CWD DETECTION (buffered for multi-chunk prompts)
   // =========================================================================
 
-  // Buffer output and debounce CWD extraction
+  // OSC 7 / OSC 9;9 come parsed from the stream; prompt and user patterns
+  // still match the raw output (they look for prompt colors and escapes)
+  const oscEvents = chunk.events.filter(event => event.type === 'osc');
+  if (oscEvents.length > 0) {
+    cwdOscEvents[uid] = (cwdOscEvents[uid] || []).concat(oscEvents).slice(-CWD_OSC_LIMIT);
+  }
   cwdBuffers[uid] = (cwdBuffers[uid] || '') + data;
 
   // Limit buffer size to prevent memory issues (keep last 4KB)
@@ -462,7 +1126,14 @@ const parseTerminalOutput = (uid, data) => {
     const claudeDetection = getClaudeDetection();
 
     // Update Claude detection state
-    const wasUpdated = claudeDetection.updateClaudeDetection(session, data, now);
+    const hadAssistant = !!session.aiAssistantId;
+    const wasUpdated = claudeDetection.updateClaudeDetection(session, chunk, now);
+
+    if (!hadAssistant && session.aiAssistantId) {
+      log('AI assistant detected from output:', { uid: uid.substring(0, 8), confidence: session.aiConfidence });
+    } else if (hadAssistant && !session.aiAssistantId) {
+      logAssistantExit(uid, session.assistantHistory[session.assistantHistory.length - 1]);
+    }
 
     if (wasUpdated && session.claudeDetected) {
       log('Claude state:', {
@@ -472,18 +1143,18 @@ const parseTerminalOutput = (uid, data) => {
       });
     }
 
-    // Also check for legacy claude-code detection pattern
-    if (!session.claudeDetected && /claude[- ]?code|anthropic/i.test(data)) {
-      session.detectedActivity = 'claude-code';
-      session.claudeDetected = true;
-      session.claudeState = 'idle';
-      session.claudeLastActivity = now;
-      log('Activity detected: claude-code (legacy pattern)');
+    // Token/cost lines printed by the assistant
+    if (session.aiAssistantId) {
+      trackUsageOutput(uid, chunk.lines, now);
     }
   }
+
+  stateTimeline.recordStateChange(session, now);
 };
 
 // Get git information for a directory (debounced per session, lazy for non-visible)
+// Sessions in the same work tree share one cached status (see git-status.js),
+// refreshed when .git/HEAD, index or refs change on disk
 const gitDebounce = {};
 const getGitInfo = (uid, cwd, forceVisible = false) => {
   if (!cwd || !sessions[uid] || !pluginConfig.showGit) return;
@@ -502,37 +1173,114 @@ const getGitInfo = (uid, cwd, forceVisible = false) => {
   }
 
   gitDebounce[uid] = setTimeout(() => {
-    const nullDevice = process.platform === 'win32' ? 'nul' : '/dev/null';
+    // One porcelain v2 status gives branch, upstream, ahead/behind and counts
+    gitStatus.trackSession(uid, cwd, (status) => {
+      if (!sessions[uid]) return;
+      sessions[uid].git = status || gitStatus.createEmptyStatus();
+    });
+  }, 500); // 500ms debounce
+};
 
-    // Check if it's a git repo
-    exec(`git rev-parse --is-inside-work-tree 2>${nullDevice}`, { cwd }, (err) => {
-      if (err) {
-        if (sessions[uid]) {
-          sessions[uid].git = { branch: '', dirty: 0 };
-        }
-        return;
-      }
+// The watchers only see .git, so edits to tracked files are picked up when a
+// command finishes, an agent's tool call returns, and on this interval
+const GIT_REFRESH_INTERVAL = 15000;  // ms between status refreshes of visible sessions
+let gitRefreshInterval = null;
 
-      // Get branch name
-      exec(`git symbolic-ref --short HEAD 2>${nullDevice} || git rev-parse --short HEAD 2>${nullDevice}`, { cwd }, (err, stdout) => {
-        if (!err && sessions[uid]) {
-          sessions[uid].git.branch = stdout.trim();
-        }
-      });
+// Re-run git status for a session's repository (shared with other sessions in it)
+const refreshGitStatus = (uid) => {
+  if (!pluginConfig.showGit || !sessions[uid]) return;
+  gitStatus.refreshSession(uid);
+};
 
-      // Get dirty status
-      exec(`git status --porcelain --ignore-submodules -uno 2>${nullDevice}`, { cwd }, (err, stdout) => {
-        if (!err && sessions[uid]) {
-          sessions[uid].git.dirty = stdout.trim() ? stdout.trim().split('\n').length : 0;
-        }
-      });
-    });
-  }, 500); // 500ms debounce
+// Periodic refresh, visible sessions only (the others catch up when scrolled into view)
+const refreshVisibleGitStatus = () => {
+  Object.keys(sessions).forEach((uid) => {
+    if (visibleSessions.size > 0 && !visibleSessions.has(uid)) return;
+    refreshGitStatus(uid);
+  });
 };
 
 // Display utility functions are in utils.js for hot-reload support
 // Use getUtils() to get fresh versions when DEV_LOGGING is enabled
 
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+// Last non-empty line of an output chunk (see ansi-stream.js)
+const lastPrintableLine = (chunk) => {
+  const lines = chunk.partial ? chunk.lines.concat(chunk.partial) : chunk.lines;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = cleanCommandText(lines[i].text);
+    if (line.length > 1) return line;
+  }
+  return '';
+};
+
+// Sessions the user is not looking at (another tab, or Hyper in the background)
+const isBackgroundSession = (uid) => {
+  if (uid !== activeUid) return true;
+  return typeof document !== 'undefined' && !document.hasFocus();
+};
+
+// Bring Hyper to the front and switch to the session
+const focusSession = (uid) => {
+  window.focus();
+  if (window.store) {
+    window.store.dispatch({ type: 'SESSION_SET_ACTIVE', uid });
+  }
+};
+
+// Notify about a background session: "<name>: <what>", cwd leaf, last output line
+const notifySession = (uid, what) => {
+  const session = sessions[uid];
+  if (!pluginConfig.notifications || !session || session.notificationsMuted) return;
+  if (!isBackgroundSession(uid)) return;
+
+  const utils = getUtils();
+  const sent = notifications.notify({
+    uid,
+    title: `${utils.getProcessName(session)}: ${what}`,
+    lines: [session.cwd ? path.basename(session.cwd) : '', session.lastOutputLine],
+    onClick: () => focusSession(uid)
+  }, {
+    cooldown: pluginConfig.notificationCooldown,
+    rateLimit: pluginConfig.notificationRateLimit
+  });
+
+  if (sent) {
+    log('Notification sent', { uid: uid.substring(0, 8), what });
+  }
+};
+
+// Agent went from working to waiting - checked every poll so every path that
+// sets claudeState (idle timeout, prompt detection) is covered
+const checkAgentNotification = (uid) => {
+  const session = sessions[uid];
+  if (!session) return;
+
+  const previous = session._notifiedAgentState;
+  session._notifiedAgentState = session.claudeState;
+  if (!pluginConfig.notifyOnWaiting || previous === session.claudeState) return;
+
+  if (session.claudeState === 'needs-approval') {
+    const summary = getUtils().getApprovalSummary(session.pendingApproval);
+    notifySession(uid, summary ? `needs approval (${summary})` : 'needs approval');
+  } else if (previous === 'working' && session.claudeState === 'waiting') {
+    notifySession(uid, 'waiting for input');
+  }
+};
+
+// A command tracked by shell integration ran past the threshold
+const checkCommandNotification = (uid, entry) => {
+  const threshold = pluginConfig.notifyCommandThreshold;
+  if (!threshold || entry.duration < threshold) return;
+
+  const outcome = entry.exitCode !== null && entry.exitCode !== 0 ? `failed (exit ${entry.exitCode})` : 'finished';
+  const name = entry.command ? entry.command.split(/\s+/)[0] : 'command';
+  notifySession(uid, `${name} ${outcome} after ${getUtils().formatDuration(entry.duration)}`);
+};
+
 // Mark session as having activity
 const markActivity = (uid) => {
   if (!sessions[uid] || uid === activeUid) return;
@@ -577,17 +1325,21 @@ const clearOldActivity = () => {
       }
     }
 
-    // Handle Claude state transitions (working -> waiting after idle timeout)
-    if (session.claudeDetected && session.claudeState === 'working') {
+    // Handle AI assistant state transitions (working -> waiting after idle timeout).
+    // Sessions reporting through hooks get an exact Stop event instead
+    if ((session.claudeDetected || session.aiAssistantId) && session.claudeState === 'working' && !session.hookBridge) {
       const claudeIdleTimeout = pluginConfig.claudeIdleTimeout || 5000;
       const timeSinceClaudeActivity = session.claudeLastActivity ? now - session.claudeLastActivity : Infinity;
 
       if (timeSinceClaudeActivity > claudeIdleTimeout) {
         session.claudeState = 'waiting';
         session.claudeLastStateChange = now;
-        log('Claude state transition: working -> waiting (idle timeout)', { uid: uid.substring(0, 8) });
+        log('Assistant state transition: working -> waiting (idle timeout)', { uid: uid.substring(0, 8), assistant: session.aiAssistantId || 'claude' });
       }
     }
+
+    stateTimeline.recordStateChange(session, now);
+    checkAgentNotification(uid);
   });
 };
 
@@ -791,6 +1543,73 @@ const generateCSS = (config) => {
     color: ${t.overlay};
     opacity: 0.5;
   }
+  .activity-glyph.claude.needs-approval {
+    color: ${t.surfaceDark};
+    background: ${t.orange};
+    font-size: 10px;
+    font-weight: 700;
+    width: 14px;
+    height: 14px;
+    line-height: 14px;
+    text-align: center;
+    border-radius: 50%;
+    box-shadow: 0 0 0 2px ${t.orange}50;
+    animation: glyph-attention 1.2s ease-in-out infinite;
+  }
+  .session-approval {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 3px;
+    margin: 4px 0 0 22px;
+  }
+  .session-approval-btn {
+    background: ${t.surface1};
+    border: 1px solid ${t.green}60;
+    border-radius: 3px;
+    color: ${t.green};
+    cursor: pointer;
+    font-family: inherit;
+    font-size: 9px;
+    padding: 1px 5px;
+    white-space: nowrap;
+    max-width: 100%;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .session-approval-btn:hover {
+    background: ${t.green}30;
+  }
+  .session-approval-btn.destructive {
+    border-color: ${t.orange}80;
+    color: ${t.orange};
+  }
+  .session-approval-btn.destructive:hover {
+    background: ${t.orange}30;
+  }
+  .session-approval-btn.reject {
+    border-color: ${t.red}60;
+    color: ${t.red};
+  }
+  .session-approval-btn.reject:hover {
+    background: ${t.red}30;
+  }
+  .session-approval-btn.replied {
+    background: ${t.blue}40;
+    color: ${t.foreground};
+  }
+  .session-approval-btn:disabled {
+    cursor: default;
+  }
+  .session-approval-btn:disabled:not(.replied) {
+    opacity: 0.4;
+  }
+  .session-sidebar[data-view="compact"] .session-approval {
+    margin-left: 18px;
+  }
+  .session-item.needs-approval {
+    border-left-color: ${t.orange};
+    background: ${t.orange}14;
+  }
 
   /* Glyph animations */
   @keyframes glyph-pulse {
@@ -801,6 +1620,10 @@ const generateCSS = (config) => {
     0%, 100% { opacity: 1; transform: scale(1); }
     50% { opacity: 0.5; transform: scale(0.85); }
   }
+  @keyframes glyph-attention {
+    0%, 100% { box-shadow: 0 0 0 2px ${t.orange}50; transform: scale(1); }
+    50% { box-shadow: 0 0 0 5px ${t.orange}00; transform: scale(1.1); }
+  }
   @keyframes glyph-fade {
     0% { opacity: 1; }
     100% { opacity: 0.5; }
@@ -870,7 +1693,73 @@ const generateCSS = (config) => {
     opacity: 0.7;
   }
 
-  /* Session Details */
+  /* Output rule marks */
+  .session-rule-badge {
+    flex-shrink: 0;
+    max-width: 60px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    padding: 0 4px;
+    border-radius: 3px;
+    font-size: 9px;
+    font-weight: 600;
+    line-height: 13px;
+    color: ${t.surfaceDark};
+    background: ${t.surface2};
+  }
+  .session-item.needs-attention,
+  .agent-card.needs-attention {
+    border-left-color: ${t.red} !important;
+    animation: attention-pulse 1.5s ease-in-out infinite;
+  }
+  @keyframes attention-pulse {
+    0%, 100% { box-shadow: inset 0 0 0 1px ${t.red}00; }
+    50% { box-shadow: inset 0 0 0 1px ${t.red}90; }
+  }
+
+  /* Output rate sparkline */
+  .session-sparkline {
+    display: flex;
+    align-items: center;
+    color: ${t.cyan};
+    opacity: 0.8;
+  }
+  .session-item.active .session-sparkline {
+    opacity: 1;
+  }
+
+  /* State timeline strip */
+  .state-timeline {
+    position: relative;
+    height: 3px;
+    margin-top: 4px;
+    border-radius: 2px;
+    overflow: hidden;
+    background: ${t.surface0};
+  }
+  .state-timeline-segment {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    min-width: 1px;
+  }
+  .state-timeline-segment.activity-command,
+  .state-timeline-segment.activity-output {
+    background: ${t.green};
+  }
+  .state-timeline-segment.activity-typing {
+    background: ${t.cyan};
+  }
+  .state-timeline-segment.activity-idle {
+    background: ${t.overlay};
+    opacity: 0.4;
+  }
+  .agent-card .state-timeline {
+    margin-left: 20px;
+  }
+
+  /* Session Details */
   .session-details {
     display: flex;
     flex-direction: column;
@@ -958,6 +1847,39 @@ const generateCSS = (config) => {
     width: 10px;
     height: 10px;
   }
+  .session-git-branch.detached {
+    color: ${t.yellow};
+    font-style: italic;
+  }
+  .session-git-badge {
+    font-size: 9px;
+    font-weight: 600;
+    line-height: 1;
+    white-space: nowrap;
+  }
+  .session-git-badge.git-operation {
+    color: ${t.surfaceDark};
+    background: ${t.orange};
+    border-radius: 3px;
+    padding: 1px 3px;
+  }
+  .session-git-badge.git-ahead,
+  .session-git-badge.git-behind {
+    color: ${t.cyan};
+  }
+  .session-git-badge.git-conflicted {
+    color: ${t.red};
+  }
+  .session-git-badge.git-staged {
+    color: ${t.green};
+  }
+  .session-git-badge.git-modified {
+    color: ${t.yellow};
+  }
+  .session-git-badge.git-untracked,
+  .session-git-badge.git-stash {
+    color: ${t.overlay};
+  }
   .session-git-clean {
     color: ${t.green};
     font-size: 9px;
@@ -969,6 +1891,166 @@ const generateCSS = (config) => {
     height: 10px;
   }
 
+  .session-git-actions {
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    flex-shrink: 0;
+    opacity: 0;
+    transition: opacity 0.15s ease;
+  }
+  .session-item:hover .session-git-actions {
+    opacity: 1;
+  }
+  .session-git-action {
+    background: transparent;
+    border: none;
+    color: ${t.subtext};
+    cursor: pointer;
+    padding: 1px;
+    border-radius: 3px;
+    display: flex;
+    align-items: center;
+  }
+  .session-git-action:hover {
+    color: ${t.foreground};
+    background: ${t.surface1};
+  }
+  .session-git-action.remove:hover,
+  .session-git-action.remove.confirm {
+    color: ${t.red};
+  }
+  .session-git-action svg {
+    width: 10px;
+    height: 10px;
+  }
+  .session-worktree .session-detail-icon {
+    color: ${t.magenta};
+  }
+
+  /* Claude Code transcript section */
+  .session-transcript {
+    cursor: pointer;
+  }
+  .session-transcript .session-detail-icon {
+    color: ${t.orange};
+  }
+  .session-transcript-chevron {
+    display: flex;
+    flex-shrink: 0;
+    color: ${t.overlay};
+    transition: transform 0.15s ease;
+  }
+  .session-transcript.expanded .session-transcript-chevron {
+    transform: rotate(90deg);
+  }
+  .session-transcript-details {
+    display: flex;
+    flex-direction: column;
+    gap: 1px;
+    margin: 1px 0 2px 17px;
+    font-size: 9px;
+  }
+  .session-transcript-stat {
+    display: flex;
+    gap: 5px;
+    min-width: 0;
+  }
+  .session-transcript-label {
+    flex-shrink: 0;
+    width: 34px;
+    color: ${t.overlay};
+  }
+  .session-transcript-value {
+    color: ${t.subtext};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .session-transcript-stat.stat-last .session-transcript-value {
+    white-space: normal;
+    display: -webkit-box;
+    -webkit-line-clamp: 3;
+    -webkit-box-orient: vertical;
+    word-break: break-word;
+  }
+
+  /* Notice area (worktree feedback) */
+  .session-notice {
+    margin: 4px 6px;
+    padding: 4px 8px;
+    border-radius: 4px;
+    font-size: 10px;
+    line-height: 1.4;
+    cursor: pointer;
+    word-break: break-word;
+    background: ${t.surface1};
+    color: ${t.foreground};
+    border-left: 2px solid ${t.blue};
+  }
+  .session-notice.notice-warning {
+    border-left-color: ${t.yellow};
+  }
+  .session-notice.notice-error {
+    border-left-color: ${t.red};
+    color: ${t.red};
+  }
+
+  /* New worktree form */
+  .session-worktree-form {
+    margin: 4px 6px;
+    padding: 6px 8px;
+    border-radius: 4px;
+    background: ${t.surface0};
+    border: 1px solid ${t.border};
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+  }
+  .session-worktree-form-title {
+    font-size: 10px;
+    color: ${t.subtext};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .session-worktree-input {
+    background: ${t.surfaceDark};
+    border: 1px solid ${t.border};
+    border-radius: 3px;
+    color: ${t.foreground};
+    font-family: inherit;
+    font-size: 10px;
+    padding: 3px 5px;
+    outline: none;
+  }
+  .session-worktree-input:focus {
+    border-color: ${t.blue};
+  }
+  .session-worktree-form-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 4px;
+  }
+  .session-worktree-btn {
+    background: ${t.surface1};
+    border: none;
+    border-radius: 3px;
+    color: ${t.foreground};
+    cursor: pointer;
+    font-family: inherit;
+    font-size: 10px;
+    padding: 2px 8px;
+  }
+  .session-worktree-btn.primary {
+    background: ${t.blue};
+    color: ${t.surfaceDark};
+  }
+  .session-worktree-btn:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+
   /* Status bar */
   .session-status-bar {
     display: flex;
@@ -985,11 +2067,41 @@ const generateCSS = (config) => {
     align-items: center;
     gap: 3px;
   }
+  .session-timestamp.command-running {
+    color: ${t.green};
+  }
+  .session-timestamp.command-failed {
+    color: ${t.red};
+  }
+  .session-timestamp.command-succeeded {
+    color: ${t.subtext};
+  }
   .session-pid {
     font-size: 9px;
     color: ${t.subtext};
     opacity: 0.8;
   }
+  .session-status-meta {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    flex-shrink: 0;
+  }
+  .session-cost {
+    font-size: 9px;
+    color: ${t.green};
+  }
+  .session-cost.over-budget,
+  .session-header-cost.over-budget {
+    color: ${t.red};
+    font-weight: 700;
+  }
+  .session-header-cost {
+    font-size: 9px;
+    letter-spacing: 0;
+    color: ${t.subtext};
+    cursor: help;
+  }
 
   /* Empty State */
   .session-empty {
@@ -1062,6 +2174,45 @@ const generateCSS = (config) => {
     background: ${t.overlay};
   }
 
+  /* Config warning indicator */
+  .session-config-warning {
+    color: ${t.yellow};
+    font-size: 10px;
+    cursor: help;
+  }
+
+  /* Notification toggles */
+  .session-dnd-btn,
+  .session-mute-btn {
+    background: transparent;
+    border: none;
+    color: ${t.subtext};
+    cursor: pointer;
+    padding: 2px;
+    border-radius: 4px;
+    display: flex;
+    align-items: center;
+    flex-shrink: 0;
+  }
+  .session-dnd-btn:hover,
+  .session-mute-btn:hover {
+    color: ${t.foreground};
+    background: ${t.surface1};
+  }
+  .session-dnd-btn.active {
+    color: ${t.yellow};
+  }
+  .session-mute-btn {
+    display: none;
+  }
+  .session-item:hover .session-mute-btn,
+  .session-mute-btn.muted {
+    display: flex;
+  }
+  .session-mute-btn.muted {
+    color: ${t.overlay};
+  }
+
   /* View Mode Toggle Button */
   .session-viewmode-btn {
     background: transparent;
@@ -1216,6 +2367,109 @@ const generateCSS = (config) => {
     right: calc(100% + 4px);
   }
 
+  /* ═══════════════════════════════════════════════════════════════
+     AGENTS VIEW MODE - AI sessions grouped by state
+     ═══════════════════════════════════════════════════════════════ */
+
+  .agent-group {
+    margin-bottom: 6px;
+  }
+  .agent-group-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 6px 12px 2px;
+    font-size: 9px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    color: ${t.subtext};
+  }
+  .agent-group-needs-approval .agent-group-header {
+    color: ${t.orange};
+  }
+  .agent-group-waiting .agent-group-header {
+    color: ${t.yellow};
+  }
+  .agent-group-working .agent-group-header {
+    color: ${t.green};
+  }
+  .agent-group-count {
+    background: ${t.surface1};
+    border-radius: 8px;
+    padding: 0 5px;
+    color: ${t.subtext};
+  }
+  .agent-card {
+    padding: 5px 8px 5px 10px;
+    margin: 3px 6px;
+    border-radius: 6px;
+    background: ${t.surface1}50;
+    border-left: 3px solid transparent;
+    cursor: pointer;
+  }
+  .agent-card:hover {
+    background: ${t.surface1}90;
+  }
+  .agent-card.active {
+    background: ${t.surface1};
+    border-left-color: ${t.blue};
+  }
+  .agent-card.needs-approval {
+    border-left-color: ${t.orange};
+    background: ${t.orange}14;
+  }
+  .agent-card-header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  .agent-card-title {
+    flex: 1;
+    min-width: 0;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+    font-size: 11px;
+    color: ${t.foreground};
+  }
+  .agent-card-time {
+    flex-shrink: 0;
+    font-size: 9px;
+    font-variant-numeric: tabular-nums;
+  }
+  .agent-card-approval {
+    margin: 2px 0 0 20px;
+    font-size: 9px;
+    color: ${t.orange};
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+  .agent-card-meta {
+    display: flex;
+    gap: 8px;
+    margin: 2px 0 0 20px;
+    font-size: 9px;
+    color: ${t.subtext};
+    overflow: hidden;
+    white-space: nowrap;
+  }
+  .agent-card-cwd {
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .agent-card-branch {
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    flex-shrink: 0;
+    color: ${t.magenta};
+  }
+  .agent-card .session-approval {
+    margin-left: 20px;
+  }
+
   /* Terminal Area Adjustment */
   .terms_terms {
     margin-${pos}: ${config.width}px !important;
@@ -1232,6 +2486,15 @@ exports.decorateConfig = (config) => {
   const userConfig = config.sessionSidebar || {};
   pluginConfig = { ...defaultConfig, ...userConfig };
 
+  // Merge user CWD patterns with the built-ins (invalid entries are reported, not thrown)
+  applyCwdPatternConfig(userConfig.cwdPatterns);
+  // Register user-defined AI assistants ahead of the built-ins
+  applyAssistantConfig(userConfig.assistants);
+  // Compile user output rules
+  applyRuleConfig(userConfig.rules);
+
+  gitStatus.setConcurrency(pluginConfig.gitConcurrency);
+
   // Read configured shells and keymap prefix from config
   configuredShells = config.shells || [];
   shellKeymapPrefix = config.selectShellKeymap || '';
@@ -1287,6 +2550,11 @@ exports.decorateConfig = (config) => {
     `
   });
 
+  // Tell the hook script where the bridge listens (sessions are spawned by the main process)
+  if (process.type === 'browser' && pluginConfig.hooksBridge) {
+    newConfig.env = { ...config.env, ...hooksBridge.getSessionEnv() };
+  }
+
   // Override shell getters to check pendingShell first
   Object.defineProperties(newConfig, {
     shell: {
@@ -1317,7 +2585,390 @@ exports.decorateConfig = (config) => {
     }
   });
 
-  return newConfig;
+  return newConfig;
+};
+
+// =============================================================================
+// SHELL INTEGRATION INSTALLER
+// =============================================================================
+
+// Write keystrokes to a session's PTY (renderer only)
+const writeToSession = (uid, data) => {
+  if (typeof window === 'undefined' || !window.rpc || !uid || !data) return;
+  window.rpc.emit('data', { uid, data });
+};
+
+// Load the matching integration script into a session's running shell
+const injectShellIntegration = (uid) => {
+  const session = sessions[uid];
+  if (!session) return false;
+
+  const kind = shellIntegration.detectShellKind(session.shell);
+  const command = shellIntegration.getInjectCommand(kind);
+  if (!command) {
+    log('Shell integration: unsupported shell', { uid: uid.substring(0, 8), shell: session.shell });
+    writeToSession(uid, shellIntegration.getInstructionsCommand(kind));
+    return false;
+  }
+
+  log('Shell integration: injecting', { uid: uid.substring(0, 8), kind });
+  session._integrationInjected = true;
+  writeToSession(uid, command);
+  return true;
+};
+
+// Print the rc-file line that loads the integration in every new session
+const printShellIntegrationSetup = (uid) => {
+  const session = sessions[uid];
+  if (!session) return;
+  writeToSession(uid, shellIntegration.getInstructionsCommand(shellIntegration.detectShellKind(session.shell)));
+};
+
+// Whether auto-injection still applies to a session
+const wantsShellIntegration = (session) => !!session &&
+  !!pluginConfig.autoShellIntegration &&
+  !session._integrationInjected &&
+  !session.shellIntegration &&
+  !!shellIntegration.detectShellKind(session.shell);
+
+// Auto-inject once the shell has printed its first prompt (opt-in): the
+// session's output has to go quiet first (MOTD, rc files, a tmux attach...),
+// the same wait as a worktree launch's startup command
+const maybeAutoInjectShellIntegration = (uid) => {
+  const session = sessions[uid];
+  if (!wantsShellIntegration(session)) return;
+
+  if (session._integrationTimer) clearTimeout(session._integrationTimer);
+  session._integrationTimer = setTimeout(() => {
+    const current = sessions[uid];
+    if (!current) return;
+    current._integrationTimer = null;
+    if (!wantsShellIntegration(current)) return;
+
+    // Without native process info the quiet output is all there is to go on
+    if (!processInfo.isSupported() || !current.pid) {
+      injectShellIntegration(uid);
+      return;
+    }
+
+    // Never type into a running program (vim, ssh, ...): the shell itself
+    // has to be in front right now
+    processInfo.resolveForegroundProcess(current.pid).then((proc) => {
+      if (!proc || !proc.isShell || !wantsShellIntegration(sessions[uid])) return;
+      injectShellIntegration(uid);
+    });
+  }, STARTUP_QUIET_DELAY);
+};
+
+// =============================================================================
+// QUICK REPLIES (permission prompts)
+// =============================================================================
+
+// Notice area of the mounted sidebar (set in componentDidMount)
+let showSidebarNotice = () => {};
+
+// Approving these commands needs a second click / key press
+const DESTRUCTIVE_COMMAND_PATTERNS = [
+  /\brm\s+-\w*[rf]/,
+  /\bgit\s+push\b.*(?:--force|\s-f\b)/,
+  /\bgit\s+reset\s+--hard\b/,
+  /\bgit\s+clean\s+-\w*f/,
+  /\bgit\s+(?:checkout|restore)\s+(?:--\s+)?\.(?:\s|$)/,
+  /\bgit\s+branch\s+-D\b/,
+  /\bdrop\s+(?:table|database|schema)\b/i,
+  /\btruncate\s+table\b/i,
+  /\b(?:mkfs|shred)\b/,
+  /\bdd\s+.*\bof=/,
+  /\bsudo\b/,
+  /\bkubectl\s+delete\b/,
+  /\bterraform\s+destroy\b/,
+];
+// Options that grant permission beyond this one call
+const PERSISTENT_GRANT_REGEX = /don't ask again|allow all|allow always/i;
+// Approval tools that run a shell command (Claude's Bash, the others' Shell)
+const SHELL_TOOLS = new Set(['Bash', 'Shell']);
+const REPLY_CONFIRM_WINDOW = 5000;  // ms in which the second click confirms
+
+let pendingReplyConfirm = null;  // { uid, key, time }
+
+// A "yes" that runs a destructive command or grants a standing permission
+const isDestructiveReply = (approval, option) => {
+  if (!/^yes/i.test(option.label)) return false;
+  if (PERSISTENT_GRANT_REGEX.test(option.label)) return true;
+  return SHELL_TOOLS.has(approval.tool) && DESTRUCTIVE_COMMAND_PATTERNS.some(p => p.test(approval.subject || ''));
+};
+
+// Answer a session's permission dialog by typing the option number
+// Returns 'sent', 'confirm' (needs a second attempt) or 'stale'
+const sendApprovalReply = (uid, key) => {
+  const session = sessions[uid];
+  const approval = session && session.pendingApproval;
+  const option = approval && !approval.replied && approval.options.find(o => o.key === key);
+  if (!option) return 'stale';
+
+  const now = Date.now();
+  if (isDestructiveReply(approval, option)) {
+    const confirmed = pendingReplyConfirm &&
+      pendingReplyConfirm.uid === uid &&
+      pendingReplyConfirm.key === key &&
+      now - pendingReplyConfirm.time < REPLY_CONFIRM_WINDOW;
+    if (!confirmed) {
+      pendingReplyConfirm = { uid, key, time: now };
+      const summary = getUtils().getApprovalSummary(approval);
+      showSidebarNotice('warning', `"${option.label}" for ${summary} - repeat to confirm`);
+      return 'confirm';
+    }
+  }
+
+  pendingReplyConfirm = null;
+  approval.replied = key;
+  log('Approval reply sent', { uid: uid.substring(0, 8), key, label: option.label });
+  writeToSession(uid, key);
+  return 'sent';
+};
+
+// Session whose permission dialog appeared most recently
+// (a dialog reported by a hook before its options were read cannot be answered yet)
+const findLatestBlockedSession = () => {
+  let latest = null;
+  Object.keys(sessions).forEach((uid) => {
+    const approval = sessions[uid].pendingApproval;
+    if (!approval || approval.replied || approval.options.length === 0) return;
+    if (!latest || approval.detectedAt > sessions[latest].pendingApproval.detectedAt) {
+      latest = uid;
+    }
+  });
+  return latest;
+};
+
+// Keymap: approve (first option) the most recently blocked agent
+const approveLatestBlocked = () => {
+  const uid = findLatestBlockedSession();
+  if (!uid) {
+    showSidebarNotice('info', 'No agent is waiting for approval');
+    return;
+  }
+  sendApprovalReply(uid, sessions[uid].pendingApproval.options[0].key);
+};
+
+// =============================================================================
+// CLAUDE CODE HOOKS BRIDGE
+// =============================================================================
+
+// Windows that receive hook events (main process)
+const agentEventWindows = new Set();
+
+// Main process: tag an event with the hook's process ancestry and pass it to
+// every window - only the renderers know which pid belongs to which tab
+const broadcastAgentEvent = (event) => {
+  const parentPid = parseInt(event.ppid, 10);
+  const ancestry = processInfo.isSupported() && parentPid
+    ? processInfo.resolveAncestors(parentPid)
+    : Promise.resolve([]);
+
+  ancestry.then((ancestors) => {
+    const tagged = { ...event, ancestors };
+    agentEventWindows.forEach((browserWindow) => {
+      if (!browserWindow.isDestroyed()) {
+        browserWindow.rpc.emit('sidebar agent event', tagged);
+      }
+    });
+  });
+};
+
+// Session the hook ran in: an ancestor of the hook is the tab's shell, or
+// (Windows, no ancestry) the shell scripts exported its pid
+const findSessionForAgentEvent = (event) => {
+  const pids = (event.ancestors || []).concat(event.ptyPid || []).map(Number);
+  for (const pid of pids) {
+    const uid = Object.keys(sessions).find(id => sessions[id].pid === pid);
+    if (uid) return uid;
+  }
+  return null;
+};
+
+// Renderer: apply a hook event to its session
+const handleAgentEvent = (event) => {
+  const uid = findSessionForAgentEvent(event);
+  if (!uid) return;
+
+  const session = sessions[uid];
+  const previous = session.claudeState;
+  if (!getClaudeDetection().applyHookEvent(session, event, Date.now())) return;
+  // A finished tool call (Edit, Write, Bash...) may have changed the work tree
+  if (event.hook_event_name === 'PostToolUse') refreshGitStatus(uid);
+  if (!session.aiAssistantId) {
+    logAssistantExit(uid, session.assistantHistory[session.assistantHistory.length - 1]);
+  } else if (session.claudeState !== previous) {
+    log('Hook event', { uid: uid.substring(0, 8), event: event.hook_event_name, from: previous, to: session.claudeState });
+  }
+  stateTimeline.recordStateChange(session, Date.now());
+};
+
+// =============================================================================
+// CLAUDE TRANSCRIPTS
+// =============================================================================
+
+const TRANSCRIPT_REFRESH_INTERVAL = 3000;  // ms between transcript reads
+const TRANSCRIPT_START_SLACK = 10000;      // How long before detection a transcript may have been written
+let transcriptRefreshInterval = null;
+const transcriptRefreshPending = {};
+
+// Transcript of a Claude session: exact when hooks report it, otherwise the
+// newest one written in the session's cwd since Claude was detected there
+const resolveTranscriptPath = (session, callback) => {
+  if (session.hookBridge && session.hookBridge.transcriptPath) {
+    callback(session.hookBridge.transcriptPath);
+    return;
+  }
+  claudeTranscripts.findLatestTranscript(session.cwd, session._transcriptSince, callback);
+};
+
+// Read new transcript entries for every Claude session
+const refreshTranscripts = () => {
+  if (!pluginConfig.claudeTranscripts) return;
+
+  const now = Date.now();
+  const activePaths = [];
+  Object.keys(sessions).forEach((uid) => {
+    const session = sessions[uid];
+    if (session.aiAssistantId !== 'claude' || !session.cwd) {
+      session.transcript = null;
+      session._transcriptSince = null;
+      return;
+    }
+
+    if (session.transcript) activePaths.push(session.transcript.path);
+    if (!session._transcriptSince) session._transcriptSince = now - TRANSCRIPT_START_SLACK;
+    if (transcriptRefreshPending[uid]) return;
+    transcriptRefreshPending[uid] = true;
+
+    resolveTranscriptPath(session, (filePath) => {
+      if (!filePath) {
+        delete transcriptRefreshPending[uid];
+        return;
+      }
+      // Usage from before Claude started here was billed by an earlier run
+      claudeTranscripts.readTranscript(filePath, session.aiStartTime || now, (summary, records) => {
+        delete transcriptRefreshPending[uid];
+        if (!sessions[uid] || !summary) return;
+        sessions[uid].transcript = summary;
+
+        records.forEach((record) => {
+          const { usage } = record;
+          usageTracker.addUsage(uid, 'transcript', {
+            tokens: usage.input + usage.output + usage.cacheRead + usage.cacheCreation,
+            cost: usageTracker.estimateCost(record.model, usage)
+          }, record.time);
+        });
+        if (records.length > 0) updateSessionUsage(uid);
+      });
+    });
+  });
+
+  // Forget transcripts no session follows any more
+  claudeTranscripts.pruneTranscripts(activePaths);
+};
+
+// =============================================================================
+// USAGE AND BUDGETS
+// =============================================================================
+
+let dailyBudgetAlertDay = null; // Day the daily budget warning was shown
+
+// Read usage lines printed by assistants (Claude's /cost, Aider's
+// "Tokens: ... Cost: ..."), one completed line at a time
+const trackUsageOutput = (uid, lines, now) => {
+  let reported = false;
+  lines.forEach((line) => {
+    const result = usageTracker.parseUsageLine(line.text);
+    if (!result) return;
+    usageTracker.reportTotal(uid, result.source, result, now);
+    reported = true;
+  });
+  if (reported) updateSessionUsage(uid);
+};
+
+// Warn once per session and once per day (notice + notification)
+const warnBudget = (uid, text) => {
+  log('Budget exceeded', { uid: uid.substring(0, 8), text });
+  showSidebarNotice('warning', text);
+
+  const session = sessions[uid];
+  if (!pluginConfig.notifications || (session && session.notificationsMuted)) return;
+  notifications.notify({
+    uid: `budget-${uid}`,
+    title: 'Budget exceeded',
+    lines: [text],
+    onClick: () => focusSession(uid)
+  }, { cooldown: 0, rateLimit: pluginConfig.notificationRateLimit });
+};
+
+// Refresh a session's totals and check both budgets
+const updateSessionUsage = (uid) => {
+  const session = sessions[uid];
+  if (!session) return;
+
+  const usage = usageTracker.getSessionUsage(uid);
+  if (!usage) return;
+  session.usage = usage;
+
+  const utils = getUtils();
+  const budget = pluginConfig.costBudget || {};
+  if (budget.session > 0 && usage.cost >= budget.session && !session.overBudget) {
+    session.overBudget = true;
+    warnBudget(uid, `${utils.getProcessName(session)} passed its ${utils.formatCost(budget.session)} budget (${utils.formatCost(usage.cost)})`);
+  }
+
+  const today = usageTracker.getDailyUsage();
+  const dayKey = usageTracker.getDayKey(Date.now());
+  if (budget.daily > 0 && today.cost >= budget.daily && dailyBudgetAlertDay !== dayKey) {
+    dailyBudgetAlertDay = dayKey;
+    warnBudget(uid, `Today's spend passed the ${utils.formatCost(budget.daily)} daily budget (${utils.formatCost(today.cost)})`);
+  }
+};
+
+// =============================================================================
+// WORKTREE LAUNCHER
+// =============================================================================
+
+// Directory + startup command for the next session that opens
+let pendingLaunch = null;
+const PENDING_LAUNCH_TIMEOUT = 15000;  // Forget the launch if no tab opens in time
+const STARTUP_QUIET_DELAY = 300;       // Wait for the first prompt to finish printing
+
+// Open a new tab through the 'sidebar open shell tab' path and run
+// `cd <dir> [&& command]` in it once its shell is ready
+const openTabInDirectory = (cwd, command) => {
+  if (typeof window === 'undefined' || !window.rpc) return;
+  pendingLaunch = { cwd, command: command || '', time: Date.now() };
+  window.rpc.emit('sidebar open shell tab', { cwd });
+};
+
+// Claim the pending launch for a newly added session
+const claimPendingLaunch = (uid) => {
+  if (!pendingLaunch || !sessions[uid]) return;
+  if (Date.now() - pendingLaunch.time < PENDING_LAUNCH_TIMEOUT) {
+    sessions[uid].pendingStartup = { cwd: pendingLaunch.cwd, command: pendingLaunch.command };
+    log('Worktree launch: claimed by session', { uid: uid.substring(0, 8), cwd: pendingLaunch.cwd });
+  }
+  pendingLaunch = null;
+};
+
+// Type the startup command once the new shell has been quiet for a moment
+const runPendingStartup = (uid) => {
+  const session = sessions[uid];
+  if (!session || !session.pendingStartup) return;
+
+  if (session._startupTimer) clearTimeout(session._startupTimer);
+  session._startupTimer = setTimeout(() => {
+    const current = sessions[uid];
+    if (!current || !current.pendingStartup) return;
+    const { cwd, command } = current.pendingStartup;
+    current.pendingStartup = null;
+    current._startupTimer = null;
+    writeToSession(uid, shellIntegration.getStartupCommand(current.shell, cwd, command));
+  }, STARTUP_QUIET_DELAY);
 };
 
 // Redux middleware to track sessions and activity
@@ -1338,30 +2989,8 @@ exports.middleware = (store) => {
     case 'SESSION_ADD':
       log('SESSION_ADD full action:', JSON.stringify(action, null, 2));
       log('SESSION_ADD', { uid: action.uid, pid: action.pid, shell: action.shell });
-      sessions[action.uid] = {
-        uid: action.uid,
-        pid: action.pid,
-        shell: action.shell,
-        title: '',
-        cwd: '',
-        git: { branch: '', dirty: 0 },
-        hasActivity: false,
-        activityTime: null,
-        lastOutput: '',
-        detectedActivity: null,
-        // Activity tracking fields
-        activityType: 'idle',        // 'idle' | 'output' | 'typing' | 'command'
-        activityIntensity: 0,        // 0-100 for visual intensity
-        lastOutputTime: null,
-        outputBurstCount: 0,
-        // AI Assistant detection fields (Claude, Cursor, etc.)
-        aiAssistantId: null,         // 'claude' | 'cursor' | 'copilot-cli' | 'aider' | null
-        claudeDetected: false,       // Legacy: true if Claude specifically
-        claudeState: null,           // 'working' | 'thinking' | 'waiting' | 'idle'
-        claudeSpinnerPhase: null,
-        claudeLastActivity: null,
-        claudeLastStateChange: null,
-      };
+      sessions[action.uid] = createSessionState(action.uid, action.pid, action.shell, '');
+      claimPendingLaunch(action.uid);
       getCwd(action.uid, action.pid);
       break;
 
@@ -1371,55 +3000,35 @@ exports.middleware = (store) => {
       }
       break;
 
-    case 'SESSION_ADD_DATA':
-      // SESSION_ADD_DATA doesn't have a uid - we need to get it from the store
-      // Use the active session's uid since terminal output goes to the active session
+    case 'SESSION_PTY_DATA':
+      // SESSION_PTY_DATA carries the uid of the PTY that produced the output,
+      // so background sessions get their own activity/CWD/AI updates instead
+      // of crediting the focused tab (SESSION_ADD_DATA has no uid)
       {
-        const state = store.getState();
-        const currentActiveUid = state.sessions.activeUid;
-        const storeSessions = state.sessions.sessions || {};
+        const uid = action.uid;
 
         // Only log larger data chunks to reduce noise
         if (action.data && action.data.length > 20) {
-          log('SESSION_ADD_DATA:', {
-            activeUid: currentActiveUid ? currentActiveUid.substring(0, 8) : 'NONE',
+          log('SESSION_PTY_DATA:', {
+            uid: uid ? uid.substring(0, 8) : 'NONE',
             dataLen: action.data.length
           });
         }
 
         // Initialize session if it doesn't exist in our tracking
-        if (currentActiveUid && !sessions[currentActiveUid] && storeSessions[currentActiveUid]) {
-          const storeSession = storeSessions[currentActiveUid];
-          log('SESSION_ADD_DATA: creating session from store', currentActiveUid.substring(0, 8));
-          sessions[currentActiveUid] = {
-            uid: currentActiveUid,
-            pid: storeSession.pid,
-            shell: storeSession.shell,
-            title: storeSession.title || '',
-            cwd: '',
-            git: { branch: '', dirty: 0 },
-            hasActivity: false,
-            activityTime: null,
-            lastOutput: '',
-            detectedActivity: null,
-            // Activity tracking fields
-            activityType: 'idle',
-            activityIntensity: 0,
-            lastOutputTime: null,
-            outputBurstCount: 0,
-            // AI Assistant detection fields
-            aiAssistantId: null,
-            claudeDetected: false,
-            claudeState: null,
-            claudeSpinnerPhase: null,
-            claudeLastActivity: null,
-            claudeLastStateChange: null,
-          };
+        if (uid && !sessions[uid]) {
+          const storeSession = (store.getState().sessions.sessions || {})[uid];
+          if (storeSession) {
+            log('SESSION_PTY_DATA: creating session from store', uid.substring(0, 8));
+            sessions[uid] = createSessionState(uid, storeSession.pid, storeSession.shell, storeSession.title);
+          }
         }
 
         // Parse terminal output for CWD and activity patterns
-        if (currentActiveUid && action.data && sessions[currentActiveUid]) {
-          parseTerminalOutput(currentActiveUid, action.data);
+        if (uid && action.data && sessions[uid]) {
+          parseTerminalOutput(uid, action.data);
+          maybeAutoInjectShellIntegration(uid);
+          runPendingStartup(uid);
         }
       }
       break;
@@ -1430,6 +3039,8 @@ exports.middleware = (store) => {
       // Clear activity when session becomes active
       if (sessions[action.uid]) {
         sessions[action.uid].hasActivity = false;
+        // Looking at the tab is the attention a rule asked for
+        outputRules.clearRuleMarks(sessions[action.uid], ['attention']);
         getCwd(action.uid, sessions[action.uid].pid);
       }
       break;
@@ -1440,11 +3051,20 @@ exports.middleware = (store) => {
         clearTimeout(gitDebounce[action.uid]);
         delete gitDebounce[action.uid];
       }
+      gitStatus.untrackSession(action.uid);
       if (cwdBufferTimeouts[action.uid]) {
         clearTimeout(cwdBufferTimeouts[action.uid]);
         delete cwdBufferTimeouts[action.uid];
       }
       delete cwdBuffers[action.uid];
+      delete cwdOscEvents[action.uid];
+      delete shellMarkCarry[action.uid];
+      notifications.forgetSession(action.uid);
+      usageTracker.forgetSession(action.uid);
+      if (sessions[action.uid]) {
+        clearTimeout(sessions[action.uid]._startupTimer);
+        clearTimeout(sessions[action.uid]._integrationTimer);
+      }
       delete sessions[action.uid];
       break;
   }
@@ -1456,9 +3076,24 @@ exports.middleware = (store) => {
 // Store pending shell for next tab
 let pendingShell = null;
 
+// Start the Claude Code hooks bridge (main process)
+exports.onApp = (app) => {
+  // Inherited when Hyper is started from a Hyper tab - it would name the wrong tab
+  delete process.env.HYPER_SIDEBAR_PTY_PID;
+
+  const sidebarConfig = (app.config && app.config.getConfig && app.config.getConfig().sessionSidebar) || {};
+  if (sidebarConfig.hooksBridge === false) return;
+
+  hooksBridge.start(broadcastAgentEvent, (err) => {
+    log('Hooks bridge unavailable', { error: err.message });
+  });
+};
+
 // Handle window events for custom shell launching
 exports.onWindow = (browserWindow) => {
   log('onWindow initialized');
+  agentEventWindows.add(browserWindow);
+  browserWindow.on('closed', () => agentEventWindows.delete(browserWindow));
   browserWindow.rpc.on('sidebar open shell tab', (shellConfig) => {
     log('Opening shell tab', shellConfig);
     // Store the shell config for the next session
@@ -1468,21 +3103,28 @@ exports.onWindow = (browserWindow) => {
   });
 };
 
-// Add keyboard shortcuts for shells
+// Add keyboard shortcuts for shells and sidebar actions
 exports.decorateKeymaps = (keymaps) => {
-  if (!shellKeymapPrefix || configuredShells.length === 0) {
-    return keymaps;
+  const sidebarKeymaps = {};
+
+  if (shellKeymapPrefix) {
+    configuredShells.forEach((shell, index) => {
+      if (shell.shortcut) {
+        const accelerator = `${shellKeymapPrefix}+${shell.shortcut}`;
+        sidebarKeymaps[accelerator] = `sidebar:shell:${index}`;
+      }
+    });
   }
 
-  const shellKeymaps = {};
-  configuredShells.forEach((shell, index) => {
-    if (shell.shortcut) {
-      const accelerator = `${shellKeymapPrefix}+${shell.shortcut}`;
-      shellKeymaps[accelerator] = `sidebar:shell:${index}`;
-    }
-  });
+  if (pluginConfig.shellIntegrationKeymap) {
+    sidebarKeymaps[pluginConfig.shellIntegrationKeymap] = 'sidebar:shell-integration';
+  }
+
+  if (pluginConfig.approveKeymap) {
+    sidebarKeymaps[pluginConfig.approveKeymap] = 'sidebar:approve-latest';
+  }
 
-  return Object.assign({}, keymaps, shellKeymaps);
+  return Object.assign({}, keymaps, sidebarKeymaps);
 };
 
 // Map keyboard shortcuts to dispatched actions
@@ -1502,17 +3144,54 @@ exports.mapTermsDispatch = (dispatch, map) => {
     }
   });
 
+  shellDispatchers['sidebar:shell-integration'] = () => injectShellIntegration(activeUid);
+  shellDispatchers['sidebar:approve-latest'] = () => approveLatestBlocked();
+
   return Object.assign({}, map, shellDispatchers);
 };
 
+// Put the `hooks` block for ~/.claude/settings.json on the clipboard
+const copyHooksConfig = () => {
+  const { clipboard } = require('electron');
+  clipboard.writeText(JSON.stringify(hooksBridge.getHooksConfig(), null, 2));
+};
+
+// Add sidebar actions to the Plugins menu
+exports.decorateMenu = (menu) => {
+  const sendToWindow = (action) => (item, focusedWindow) => {
+    if (focusedWindow && focusedWindow.rpc) {
+      focusedWindow.rpc.emit('sidebar shell integration', { action });
+    }
+  };
+
+  return menu.map((item) => {
+    if (item.label !== 'Plugins') return item;
+    return Object.assign({}, item, {
+      submenu: (item.submenu || []).concat(
+        { type: 'separator' },
+        {
+          label: 'Session Sidebar',
+          submenu: [
+            { label: 'Inject Shell Integration', click: sendToWindow('inject') },
+            { label: 'Print Shell Integration Setup', click: sendToWindow('instructions') },
+            { label: 'Copy Claude Code Hooks Config', click: copyHooksConfig }
+          ]
+        }
+      )
+    });
+  });
+};
+
 // Intercept session creation to use pending shell
 exports.getTermProps = (uid, parentProps, props) => {
   if (pendingShell) {
     const shellToUse = { ...pendingShell };
     pendingShell = null;
+    // Launches without a shell (e.g. a new worktree tab) keep the default shell
     return Object.assign({}, props, {
-      shell: shellToUse.shell,
-      shellArgs: shellToUse.args || []
+      shell: shellToUse.shell || props.shell,
+      shellArgs: shellToUse.shell ? (shellToUse.args || []) : props.shellArgs,
+      cwd: shellToUse.cwd || props.cwd
     });
   }
   return props;
@@ -1528,18 +3207,44 @@ exports.onUnload = (app) => {
     pollInterval = null;
   }
 
+  // Clear the native CWD/process refresh interval
+  if (nativeRefreshInterval) {
+    clearInterval(nativeRefreshInterval);
+    nativeRefreshInterval = null;
+  }
+
+  // Clear the transcript refresh interval
+  if (transcriptRefreshInterval) {
+    clearInterval(transcriptRefreshInterval);
+    transcriptRefreshInterval = null;
+  }
+
+  // Clear the git status refresh interval
+  if (gitRefreshInterval) {
+    clearInterval(gitRefreshInterval);
+    gitRefreshInterval = null;
+  }
+
   // Clear all git debounce timeouts
   Object.keys(gitDebounce).forEach((uid) => {
     clearTimeout(gitDebounce[uid]);
     delete gitDebounce[uid];
   });
 
+  // Close repository watchers
+  gitStatus.dispose();
+
+  // Close the hooks bridge socket (main process)
+  hooksBridge.stop();
+
   // Clear all CWD buffer timeouts
   Object.keys(cwdBufferTimeouts).forEach((uid) => {
     clearTimeout(cwdBufferTimeouts[uid]);
     delete cwdBufferTimeouts[uid];
   });
   Object.keys(cwdBuffers).forEach((uid) => delete cwdBuffers[uid]);
+  Object.keys(cwdOscEvents).forEach((uid) => delete cwdOscEvents[uid]);
+  Object.keys(shellMarkCarry).forEach((uid) => delete shellMarkCarry[uid]);
 
   // Reset state
   Object.keys(sessions).forEach((uid) => delete sessions[uid]);
@@ -1547,12 +3252,16 @@ exports.onUnload = (app) => {
   initialized = false;
 };
 
+// How long sidebar notices stay visible
+const NOTICE_TIMEOUT = 6000;
+
 // View mode cycle order
-const VIEW_MODES = ['default', 'compact', 'micro'];
+const VIEW_MODES = ['default', 'compact', 'micro', 'agents'];
 const VIEW_MODE_ICONS = {
   default: '\uf0c9',   // Hamburger/list icon
   compact: '\uf03a',   // List compact
   micro: '\uf009',     // Grid/dots
+  agents: '\uf0db',    // Columns (agent board)
 };
 
 // Decorate Hyper to add sidebar
@@ -1566,7 +3275,11 @@ exports.decorateHyper = (Hyper, { React }) => {
       this.state = {
         sessions: {},
         activeUid: null,
-        viewMode: initialViewMode
+        viewMode: initialViewMode,
+        notice: null,            // { type: 'info' | 'warning' | 'error', text }
+        worktreeForm: null,      // { uid, branch, command, busy }
+        confirmRemoveUid: null,  // Session whose worktree removal awaits a second click
+        expandedTranscripts: {}  // uid -> true while the transcript section is open
       };
     }
 
@@ -1616,8 +3329,35 @@ exports.decorateHyper = (Hyper, { React }) => {
         }, { threshold: 0.1 });
       }
 
+      // Let module-level actions (keymaps, quick replies) report in the notice area
+      showSidebarNotice = (type, text) => this.showNotice(type, text);
+
+      // Shell integration menu actions (sent from the main process)
+      this.handleShellIntegrationAction = ({ action }) => {
+        if (action === 'instructions') {
+          printShellIntegrationSetup(activeUid);
+        } else {
+          injectShellIntegration(activeUid);
+        }
+      };
+      if (window.rpc) {
+        window.rpc.on('sidebar shell integration', this.handleShellIntegrationAction);
+        window.rpc.on('sidebar agent event', handleAgentEvent);
+      }
+
       // Poll for session updates
       pollInterval = setInterval(this.pollSessions.bind(this), currentPollInterval);
+
+      // Refresh natively resolved CWDs and foreground processes (no-op on Windows)
+      if (processInfo.isSupported()) {
+        nativeRefreshInterval = setInterval(refreshNativeInfo, NATIVE_REFRESH_INTERVAL);
+      }
+
+      // Tail Claude Code transcripts for the expandable card section
+      transcriptRefreshInterval = setInterval(refreshTranscripts, TRANSCRIPT_REFRESH_INTERVAL);
+
+      // Pick up edits to tracked files the .git watchers cannot see
+      gitRefreshInterval = setInterval(refreshVisibleGitStatus, GIT_REFRESH_INTERVAL);
     }
 
     pollSessions() {
@@ -1640,30 +3380,7 @@ exports.decorateHyper = (Hyper, { React }) => {
             const storeSession = storeSessions[uid];
             if (!sessions[uid]) {
               // New session - initialize it
-              sessions[uid] = {
-                uid: uid,
-                pid: storeSession.pid,
-                shell: storeSession.shell,
-                title: storeSession.title || '',
-                cwd: '',
-                git: { branch: '', dirty: 0 },
-                hasActivity: false,
-                activityTime: null,
-                lastOutput: '',
-                detectedActivity: null,
-                // Activity tracking fields
-                activityType: 'idle',
-                activityIntensity: 0,
-                lastOutputTime: null,
-                outputBurstCount: 0,
-                // AI Assistant detection fields
-                aiAssistantId: null,
-                claudeDetected: false,
-                claudeState: null,
-                claudeSpinnerPhase: null,
-                claudeLastActivity: null,
-                claudeLastStateChange: null,
-              };
+              sessions[uid] = createSessionState(uid, storeSession.pid, storeSession.shell, storeSession.title);
               getCwd(uid, storeSession.pid);
             } else {
               // Update title from store
@@ -1675,6 +3392,7 @@ exports.decorateHyper = (Hyper, { React }) => {
           // Remove sessions that no longer exist
           Object.keys(sessions).forEach((uid) => {
             if (!storeSessions[uid]) {
+              gitStatus.untrackSession(uid);
               delete sessions[uid];
             }
           });
@@ -1699,6 +3417,12 @@ exports.decorateHyper = (Hyper, { React }) => {
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
       }
 
+      // Clean up shell integration menu listener
+      if (window.rpc && this.handleShellIntegrationAction) {
+        window.rpc.removeListener('sidebar shell integration', this.handleShellIntegrationAction);
+        window.rpc.removeListener('sidebar agent event', handleAgentEvent);
+      }
+
       // Clean up IntersectionObserver
       if (this.sessionObserver) {
         this.sessionObserver.disconnect();
@@ -1713,6 +3437,33 @@ exports.decorateHyper = (Hyper, { React }) => {
         clearInterval(pollInterval);
         pollInterval = null;
       }
+
+      // Clear native CWD/process refresh interval
+      if (nativeRefreshInterval) {
+        clearInterval(nativeRefreshInterval);
+        nativeRefreshInterval = null;
+      }
+
+      // Clear transcript refresh interval
+      if (transcriptRefreshInterval) {
+        clearInterval(transcriptRefreshInterval);
+        transcriptRefreshInterval = null;
+      }
+
+      // Clear git status refresh interval
+      if (gitRefreshInterval) {
+        clearInterval(gitRefreshInterval);
+        gitRefreshInterval = null;
+      }
+
+      // Detach module-level notices from this instance
+      showSidebarNotice = () => {};
+
+      // Clear the notice auto-dismiss timer
+      if (this.noticeTimer) {
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = null;
+      }
     }
 
     handleSessionClick(uid) {
@@ -1733,6 +3484,405 @@ exports.decorateHyper = (Hyper, { React }) => {
       this.setState({ viewMode: nextMode });
     }
 
+    toggleDoNotDisturb() {
+      notifications.setDoNotDisturb(!notifications.isDoNotDisturb());
+      log('Do not disturb:', notifications.isDoNotDisturb());
+      this.forceUpdate();
+    }
+
+    toggleSessionMute(uid) {
+      const session = sessions[uid];
+      if (!session) return;
+      session.notificationsMuted = !session.notificationsMuted;
+      this.setState({ sessions: { ...sessions } });
+    }
+
+    toggleTranscript(uid) {
+      const expanded = { ...this.state.expandedTranscripts };
+      if (expanded[uid]) {
+        delete expanded[uid];
+      } else {
+        expanded[uid] = true;
+      }
+      this.setState({ expandedTranscripts: expanded });
+    }
+
+    // Show a message in the sidebar's notice area (auto-dismissed)
+    showNotice(type, text) {
+      if (this.noticeTimer) clearTimeout(this.noticeTimer);
+      this.setState({ notice: { type, text } });
+      this.noticeTimer = setTimeout(() => {
+        this.noticeTimer = null;
+        this.setState({ notice: null, confirmRemoveUid: null });
+      }, NOTICE_TIMEOUT);
+    }
+
+    openWorktreeForm(uid) {
+      const session = sessions[uid];
+      if (!session || !session.git || !session.git.root) return;
+      this.setState({
+        worktreeForm: { uid, branch: '', command: pluginConfig.worktreeCommand || '', busy: false }
+      });
+    }
+
+    updateWorktreeForm(changes) {
+      if (!this.state.worktreeForm) return;
+      this.setState({ worktreeForm: { ...this.state.worktreeForm, ...changes } });
+    }
+
+    // Create the worktree + branch from the chosen session's HEAD, then open a tab in it
+    submitWorktreeForm() {
+      const form = this.state.worktreeForm;
+      if (!form || form.busy) return;
+
+      const session = sessions[form.uid];
+      const git = session && session.git;
+      if (!git || !git.root) {
+        this.setState({ worktreeForm: null });
+        this.showNotice('error', 'Session is no longer inside a git repository');
+        return;
+      }
+
+      this.updateWorktreeForm({ busy: true });
+      gitWorktree.createWorktree({
+        root: git.root,
+        mainRoot: git.worktree ? git.worktree.mainRoot : git.root,
+        branch: form.branch,
+        baseDir: pluginConfig.worktreeDir
+      }, (err, result) => {
+        if (err) {
+          log('Worktree create failed', err.message);
+          this.updateWorktreeForm({ busy: false });
+          this.showNotice('error', err.message);
+          return;
+        }
+
+        log('Worktree created', result);
+        this.setState({ worktreeForm: null });
+        this.showNotice('info', `Created worktree ${result.branch} at ${result.path}`);
+        openTabInDirectory(result.path, form.command.trim());
+      });
+    }
+
+    // Remove a linked worktree; needs a second click and a clean worktree
+    removeWorktree(uid) {
+      const session = sessions[uid];
+      const git = session && session.git;
+      if (!git || !git.worktree) return;
+
+      if (git.dirty > 0) {
+        this.showNotice('error', `Worktree ${git.worktree.name} has uncommitted changes - commit or stash them first`);
+        return;
+      }
+
+      if (this.state.confirmRemoveUid !== uid) {
+        this.setState({ confirmRemoveUid: uid });
+        this.showNotice('warning', `Click remove again to delete worktree ${git.worktree.name} (the branch is kept)`);
+        return;
+      }
+
+      this.setState({ confirmRemoveUid: null });
+      gitWorktree.removeWorktree(git.root, (err, result) => {
+        if (err) {
+          log('Worktree remove refused', err.message);
+          this.showNotice('error', `Not removed: ${err.message}`);
+          return;
+        }
+
+        log('Worktree removed', result);
+        this.showNotice('info', `Removed worktree ${result.name}`);
+        gitStatus.refreshSession(uid);
+      });
+    }
+
+    renderApprovalButtons(uid, approval) {
+      const utils = getUtils();
+      if (!utils.getReplyLabel || approval.options.length === 0) return null;
+
+      return React.createElement(
+        'div',
+        { className: 'session-approval' },
+        approval.options.map((option) => {
+          let className = 'session-approval-btn';
+          if (/^no/i.test(option.label)) className += ' reject';
+          if (isDestructiveReply(approval, option)) className += ' destructive';
+          if (approval.replied === option.key) className += ' replied';
+
+          return React.createElement('button', {
+            key: option.key,
+            className,
+            title: option.label,
+            disabled: !!approval.replied,
+            onClick: (e) => {
+              e.stopPropagation();
+              sendApprovalReply(uid, option.key);
+              this.setState({ sessions: { ...sessions } });
+            }
+          }, `${option.key} ${utils.getReplyLabel(option.label)}`);
+        })
+      );
+    }
+
+    // Agent board: AI sessions only, grouped by state, longest in state first
+    renderAgentBoard(sessionList) {
+      const utils = getUtils();
+      const groups = utils.groupAgentSessions ? utils.groupAgentSessions(sessionList) : [];
+      if (groups.length === 0) {
+        return React.createElement(
+          'div',
+          { className: 'session-empty' },
+          React.createElement('div', { className: 'session-empty-icon' }, '\uf0db'),
+          'No AI assistant sessions'
+        );
+      }
+
+      const now = Date.now();
+      return groups.map(group => React.createElement(
+        'div',
+        { key: group.state, className: `agent-group agent-group-${group.state}` },
+        React.createElement(
+          'div',
+          { className: 'agent-group-header' },
+          React.createElement('span', null, group.label),
+          React.createElement('span', { className: 'agent-group-count' }, group.items.length)
+        ),
+        group.items.map(item => this.renderAgentCard(item.uid, item.session, item.index, now))
+      ));
+    }
+
+    // Agent board card: task title, cwd and branch, time in state
+    renderAgentCard(uid, data, index, now) {
+      const utils = getUtils();
+      const shellInfo = utils.getShellInfo(data);
+      const title = (data.transcript && data.transcript.title) || data.label || utils.getProcessName(data);
+      const cwd = data.cwd || utils.extractPathFromTitle(data.title);
+      const since = utils.getStateSince(data);
+      const stateInfo = getClaudeDetection().getAssistantStateInfo(data.claudeState, data.aiAssistantId || 'claude');
+
+      let className = 'agent-card';
+      if (uid === this.state.activeUid) className += ' active';
+      if (data.claudeState === 'needs-approval') className += ' needs-approval';
+      const ruleMarks = this.getRuleMarks(data);
+      if (ruleMarks.attention) className += ' needs-attention';
+
+      return React.createElement(
+        'div',
+        {
+          key: uid,
+          className,
+          style: ruleMarks.style,
+          'data-session-uid': uid,
+          onClick: () => this.handleSessionClick(uid)
+        },
+        React.createElement(
+          'div',
+          { className: 'agent-card-header' },
+          React.createElement('span', {
+            className: 'session-shell-icon',
+            style: { color: shellInfo.color },
+            title: utils.getAssistantName(data),
+            dangerouslySetInnerHTML: { __html: shellInfo.svg || '' }
+          }),
+          React.createElement('span', { className: 'agent-card-title', title }, title),
+          ruleMarks.badge && this.renderRuleBadge(ruleMarks),
+          since && React.createElement('span', {
+            className: 'agent-card-time',
+            style: { color: stateInfo.color },
+            title: `${stateInfo.label} since ${new Date(since).toLocaleTimeString()}`
+          }, utils.formatDuration(now - since)),
+          React.createElement('span', { className: 'session-index' }, index + 1)
+        ),
+        data.pendingApproval && React.createElement(
+          'div',
+          { className: 'agent-card-approval', title: data.pendingApproval.question },
+          `Approve ${utils.getApprovalSummary(data.pendingApproval)}?`
+        ),
+        React.createElement(
+          'div',
+          { className: 'agent-card-meta', title: cwd || '' },
+          cwd && React.createElement('span', { className: 'agent-card-cwd' }, utils.shortenPath(cwd)),
+          data.git && data.git.branch && React.createElement(
+            'span',
+            { className: 'agent-card-branch' },
+            React.createElement('span', {
+              className: 'session-git-icon',
+              dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('git-branch', 10) }
+            }),
+            data.git.branch
+          )
+        ),
+        pluginConfig.showTimeline && this.renderStateTimeline(data, now),
+        data.pendingApproval && this.renderApprovalButtons(uid, data.pendingApproval)
+      );
+    }
+
+    // Card decoration from matched output rules: { badge, color, attention, style }
+    getRuleMarks(data) {
+      const marks = data.ruleMarks || {};
+      const color = marks.color ? (themeColors[marks.color.value] || marks.color.value) : null;
+      return {
+        badge: marks.badge || null,
+        color,
+        attention: marks.attention || null,
+        // Hex colors also tint the card
+        style: color
+          ? { borderLeftColor: color, background: /^#[0-9a-f]{6}$/i.test(color) ? `${color}1f` : undefined }
+          : undefined,
+      };
+    }
+
+    renderRuleBadge(ruleMarks) {
+      return React.createElement('span', {
+        className: 'session-rule-badge',
+        style: ruleMarks.color ? { background: ruleMarks.color } : undefined,
+        title: `${ruleMarks.badge.rule}: ${ruleMarks.badge.line}`
+      }, ruleMarks.badge.value);
+    }
+
+    // Thin strip of the session's recent states, colored like the activity glyph
+    renderStateTimeline(data, now = Date.now()) {
+      const utils = getUtils();
+      const timeline = utils.getStateTimeline ? utils.getStateTimeline(data, now) : null;
+      if (!timeline) return null;
+
+      return React.createElement(
+        'div',
+        { className: 'state-timeline', title: timeline.title },
+        timeline.segments.map(segment => React.createElement('span', {
+          key: segment.key,
+          className: `state-timeline-segment${segment.className ? ` ${segment.className}` : ''}`,
+          style: {
+            left: `${segment.left}%`,
+            width: `${segment.width}%`,
+            background: segment.color || undefined
+          }
+        }))
+      );
+    }
+
+    // Task title row; expands into model, tool calls, tokens and last message
+    renderTranscript(uid, transcript) {
+      const utils = getUtils();
+      if (!utils.getTranscriptRows) return null;
+      const expanded = !!this.state.expandedTranscripts[uid];
+
+      return React.createElement(
+        React.Fragment,
+        null,
+        React.createElement(
+          'div',
+          {
+            className: `session-detail-row session-transcript${expanded ? ' expanded' : ''}`,
+            title: transcript.title || transcript.path,
+            onClick: (e) => {
+              e.stopPropagation();
+              this.toggleTranscript(uid);
+            }
+          },
+          React.createElement('span', {
+            className: 'session-detail-icon',
+            dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('message-square', 12) }
+          }),
+          React.createElement('span', { className: 'session-detail-text' }, transcript.title || 'New conversation'),
+          React.createElement('span', {
+            className: 'session-transcript-chevron',
+            dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('chevron-right', 10) }
+          })
+        ),
+        expanded && React.createElement(
+          'div',
+          { className: 'session-transcript-details' },
+          utils.getTranscriptRows(transcript).map(row => React.createElement(
+            'div',
+            { key: row.key, className: `session-transcript-stat stat-${row.key}`, title: row.title },
+            React.createElement('span', { className: 'session-transcript-label' }, row.label),
+            React.createElement('span', { className: 'session-transcript-value' }, row.value)
+          ))
+        )
+      );
+    }
+
+    renderDailyCost() {
+      const utils = getUtils();
+      const today = usageTracker.getDailyUsage();
+      if (!utils.formatCost || today.cost <= 0) return null;
+
+      const budget = (pluginConfig.costBudget || {}).daily;
+      const overBudget = budget > 0 && today.cost >= budget;
+      return React.createElement('span', {
+        className: `session-header-cost${overBudget ? ' over-budget' : ''}`,
+        title: `Estimated spend today: ${utils.formatCost(today.cost)} (${utils.formatTokens(today.tokens)} tokens)` +
+          (budget > 0 ? `\nDaily budget: ${utils.formatCost(budget)}` : '')
+      }, utils.formatCost(today.cost));
+    }
+
+    renderNotice() {
+      const notice = this.state.notice;
+      if (!notice) return null;
+
+      return React.createElement(
+        'div',
+        {
+          className: `session-notice notice-${notice.type}`,
+          title: 'Click to dismiss',
+          onClick: () => this.setState({ notice: null, confirmRemoveUid: null })
+        },
+        notice.text
+      );
+    }
+
+    renderWorktreeForm() {
+      const form = this.state.worktreeForm;
+      const session = form && sessions[form.uid];
+      if (!form || !session || !session.git.root) return null;
+
+      const onKeyDown = (e) => {
+        if (e.key === 'Enter') this.submitWorktreeForm();
+        if (e.key === 'Escape') this.setState({ worktreeForm: null });
+      };
+      const repoName = path.basename(session.git.worktree ? session.git.worktree.mainRoot : session.git.root);
+
+      return React.createElement(
+        'div',
+        { className: 'session-worktree-form' },
+        React.createElement(
+          'div',
+          { className: 'session-worktree-form-title' },
+          `New worktree from ${repoName} @ ${session.git.branch}`
+        ),
+        React.createElement('input', {
+          className: 'session-worktree-input',
+          placeholder: 'new branch name',
+          autoFocus: true,
+          value: form.branch,
+          disabled: form.busy,
+          onChange: (e) => this.updateWorktreeForm({ branch: e.target.value }),
+          onKeyDown
+        }),
+        React.createElement('input', {
+          className: 'session-worktree-input',
+          placeholder: 'startup command (optional)',
+          value: form.command,
+          disabled: form.busy,
+          onChange: (e) => this.updateWorktreeForm({ command: e.target.value }),
+          onKeyDown
+        }),
+        React.createElement(
+          'div',
+          { className: 'session-worktree-form-actions' },
+          React.createElement('button', {
+            className: 'session-worktree-btn primary',
+            disabled: form.busy || !form.branch.trim(),
+            onClick: () => this.submitWorktreeForm()
+          }, form.busy ? 'Creating...' : 'Create'),
+          React.createElement('button', {
+            className: 'session-worktree-btn',
+            onClick: () => this.setState({ worktreeForm: null })
+          }, 'Cancel')
+        )
+      );
+    }
+
     openShellTab(shell) {
       log('openShellTab', { name: shell.name, shell: shell.shell });
       // Use window.rpc to request a new terminal with the specific shell
@@ -1814,15 +3964,34 @@ exports.decorateHyper = (Hyper, { React }) => {
       const processName = utils.getProcessName(data);
       const shortCwd = utils.shortenPath(effectiveCwd);
       const shellInfo = utils.getShellInfo(data);
+      const gitBadges = utils.getGitBadges ? utils.getGitBadges(data.git) : [];
+      const gitTitle = utils.getGitTitle ? utils.getGitTitle(data.git) : '';
+      const worktreeLabel = utils.getWorktreeLabel ? utils.getWorktreeLabel(data.git) : null;
+      const sparkline = pluginConfig.showSparkline && utils.getOutputSparkline ? utils.getOutputSparkline(data) : null;
 
       // Get activity glyph info (dot for standard, icon for Claude)
       const activityGlyph = utils.getActivityGlyph ? utils.getActivityGlyph(data) : null;
       const showActivityGlyph = pluginConfig.showActivityGlyph !== false;
 
-      // Determine status text based on activity type and Claude state
+      // Determine status text based on Claude state, shell integration
+      // command status, then activity type
+      const commandStatus = utils.getCommandStatus ? utils.getCommandStatus(data) : null;
       let statusText = isActive ? 'active' : 'idle';
-      if (data.claudeDetected && data.claudeState) {
-        statusText = `Claude: ${data.claudeState}`;
+      let statusClassName = 'session-timestamp';
+      let statusTitle = null;
+      if (data.pendingApproval && utils.getApprovalSummary) {
+        statusText = `Approve ${utils.getApprovalSummary(data.pendingApproval)}?`;
+        statusTitle = data.pendingApproval.question;
+      } else if (data.claudeDetected && data.currentTool && data.currentTool.name) {
+        statusText = `Claude: ${data.currentTool.name}`;
+        statusTitle = data.currentTool.subject;
+      } else if ((data.claudeDetected || data.aiAssistantId) && data.claudeState) {
+        const assistantName = utils.getAssistantName ? utils.getAssistantName(data) : 'Claude';
+        statusText = `${assistantName}: ${data.claudeState}`;
+      } else if (commandStatus) {
+        statusText = commandStatus.text;
+        statusClassName += ` ${commandStatus.className}`;
+        statusTitle = commandStatus.title;
       } else if (data.activityType && data.activityType !== 'idle') {
         statusText = data.activityType;
       }
@@ -1831,10 +4000,13 @@ exports.decorateHyper = (Hyper, { React }) => {
       if (isActive) className += ' active';
       if (hasActivity) className += ' has-activity';
       if (data.claudeDetected) className += ' claude-session';
+      if (data.claudeState === 'needs-approval') className += ' needs-approval';
       // Add output type class for color-coded indicators
       if (data.lastOutputType && !data.claudeDetected) {
         className += ` output-${data.lastOutputType}`;
       }
+      const ruleMarks = this.getRuleMarks(data);
+      if (ruleMarks.attention) className += ' needs-attention';
 
       // Build session card with new structure
       return React.createElement(
@@ -1842,6 +4014,7 @@ exports.decorateHyper = (Hyper, { React }) => {
         {
           key: uid,
           className: className,
+          style: ruleMarks.style,
           'data-session-uid': uid,
           ref: (el) => {
             // Set up IntersectionObserver for lazy git loading
@@ -1881,8 +4054,19 @@ exports.decorateHyper = (Hyper, { React }) => {
                 title: activityGlyph.title
               },
               activityGlyph.icon  // null for dots (CSS renders them), icon text for Claude
-            )
+            ),
+            ruleMarks.badge && this.renderRuleBadge(ruleMarks)
           ),
+          // Per-session notification mute (visible on hover, always when muted)
+          pluginConfig.notifications && React.createElement('button', {
+            className: `session-mute-btn${data.notificationsMuted ? ' muted' : ''}`,
+            title: data.notificationsMuted ? 'Notifications muted (click to unmute)' : 'Mute notifications for this session',
+            onClick: (e) => {
+              e.stopPropagation();
+              this.toggleSessionMute(uid);
+            },
+            dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg(data.notificationsMuted ? 'bell-off' : 'bell', 10) }
+          }),
           React.createElement('span', { className: 'session-index' }, index + 1)
         ),
         // Details section
@@ -1892,7 +4076,10 @@ exports.decorateHyper = (Hyper, { React }) => {
           // CWD row (uses effectiveCwd which falls back to title-extracted path)
           pluginConfig.showCwd && effectiveCwd && React.createElement(
             'div',
-            { className: 'session-detail-row session-cwd', title: effectiveCwd },
+            {
+              className: 'session-detail-row session-cwd',
+              title: data.cwdSource ? `${effectiveCwd} (via ${data.cwdSource})` : effectiveCwd
+            },
             React.createElement('span', {
               className: 'session-detail-icon',
               dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('folder', 12) }
@@ -1911,36 +4098,91 @@ exports.decorateHyper = (Hyper, { React }) => {
               ? React.createElement(
                   React.Fragment,
                   null,
-                  React.createElement('span', { className: 'session-git-branch' }, data.git.branch),
+                  React.createElement('span', {
+                    className: `session-git-branch${data.git.detached ? ' detached' : ''}`,
+                    title: gitTitle
+                  }, data.git.branch),
                   React.createElement(
                     'span',
-                    { className: 'session-git-stats' },
-                    data.git.dirty > 0
-                      ? React.createElement('span', {
-                          className: 'session-git-dirty',
-                          dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('file-code', 10) + ` ${data.git.dirty}` }
-                        })
+                    { className: 'session-git-stats', title: gitTitle },
+                    gitBadges.length > 0
+                      ? gitBadges.map(badge => React.createElement('span', {
+                          key: badge.key,
+                          className: `session-git-badge ${badge.className}`
+                        }, badge.text))
                       : React.createElement('span', {
                           className: 'session-git-clean',
                           dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('check', 10) }
                         })
+                  ),
+                  // Worktree actions (shown on hover)
+                  React.createElement(
+                    'span',
+                    { className: 'session-git-actions' },
+                    React.createElement('button', {
+                      className: 'session-git-action',
+                      title: 'New worktree + branch from this HEAD',
+                      onClick: (e) => {
+                        e.stopPropagation();
+                        this.openWorktreeForm(uid);
+                      },
+                      dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('plus', 10) }
+                    }),
+                    data.git.worktree && React.createElement('button', {
+                      className: `session-git-action remove${this.state.confirmRemoveUid === uid ? ' confirm' : ''}`,
+                      title: 'Remove this worktree (refused while it has uncommitted changes)',
+                      onClick: (e) => {
+                        e.stopPropagation();
+                        this.removeWorktree(uid);
+                      },
+                      dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('trash', 10) }
+                    })
                   )
                 )
               : React.createElement('span', { style: { color: '#585b70', fontStyle: 'italic' } }, 'no repo')
           ),
+          // Linked worktree row (worktree name @ main repo)
+          pluginConfig.showGit && worktreeLabel && React.createElement(
+            'div',
+            { className: 'session-detail-row session-worktree', title: worktreeLabel.title },
+            React.createElement('span', {
+              className: 'session-detail-icon',
+              dangerouslySetInnerHTML: { __html: utils.icons.getIconSvg('git-worktree', 12) }
+            }),
+            React.createElement('span', { className: 'session-detail-text' }, worktreeLabel.text)
+          ),
+          // Claude Code transcript (task title, expandable)
+          pluginConfig.claudeTranscripts && data.transcript && this.renderTranscript(uid, data.transcript),
           // Status bar with PID and activity status
           React.createElement(
             'div',
             { className: 'session-status-bar' },
             React.createElement(
               'span',
-              { className: 'session-timestamp' },
+              { className: statusClassName, title: statusTitle },
               '\uf4bc ',
               statusText
             ),
-            React.createElement('span', { className: 'session-pid' }, `PID ${data.pid}`)
-          )
+            React.createElement(
+              'span',
+              { className: 'session-status-meta' },
+              sparkline && React.createElement('span', {
+                className: 'session-sparkline',
+                title: sparkline.title,
+                dangerouslySetInnerHTML: { __html: sparkline.svg }
+              }),
+              data.usage && data.usage.cost > 0 && React.createElement('span', {
+                className: `session-cost${data.overBudget ? ' over-budget' : ''}`,
+                title: `Estimated spend: ${utils.formatCost(data.usage.cost)} (${utils.formatTokens(data.usage.tokens)} tokens)`
+              }, utils.formatCost(data.usage.cost)),
+              React.createElement('span', { className: 'session-pid' }, `PID ${data.pid}`)
+            )
+          ),
+          // State timeline strip (time in state on hover)
+          pluginConfig.showTimeline && this.renderStateTimeline(data)
         ),
+        // Quick replies for a pending permission dialog
+        data.pendingApproval && this.renderApprovalButtons(uid, data.pendingApproval),
         // Activity intensity bar (for active sessions)
         data.activityIntensity > 0 && React.createElement('div', {
           className: 'activity-intensity-bar',
@@ -1969,6 +4211,26 @@ exports.decorateHyper = (Hyper, { React }) => {
           React.createElement(
             'div',
             { className: 'session-header-actions' },
+            // Config warnings (invalid user CWD patterns, assistant definitions or rules)
+            cwdPatternErrors.length + assistantConfigErrors.length + ruleConfigErrors.length > 0 && React.createElement(
+              'span',
+              {
+                className: 'session-config-warning',
+                title: cwdPatternErrors.concat(assistantConfigErrors, ruleConfigErrors).join('\n')
+              },
+              '\uf071'
+            ),
+            // Today's estimated spend across all AI sessions
+            this.renderDailyCost(),
+            // Do-not-disturb toggle for desktop notifications
+            pluginConfig.notifications && React.createElement('button', {
+              className: `session-dnd-btn${notifications.isDoNotDisturb() ? ' active' : ''}`,
+              onClick: () => this.toggleDoNotDisturb(),
+              title: notifications.isDoNotDisturb() ? 'Do not disturb: on (click to allow notifications)' : 'Do not disturb: off',
+              dangerouslySetInnerHTML: {
+                __html: getUtils().icons.getIconSvg(notifications.isDoNotDisturb() ? 'bell-off' : 'bell', 11)
+              }
+            }),
             // View mode toggle button
             React.createElement(
               'button',
@@ -1982,6 +4244,8 @@ exports.decorateHyper = (Hyper, { React }) => {
             React.createElement('span', { className: 'session-header-count' }, sessionList.length)
           )
         ),
+        this.renderNotice(),
+        this.renderWorktreeForm(),
         this.renderShellQuickLaunch(),
         sessionList.length === 0
           ? React.createElement(
@@ -1990,7 +4254,9 @@ exports.decorateHyper = (Hyper, { React }) => {
               React.createElement('div', { className: 'session-empty-icon' }, '\uf489'),
               'No active sessions'
             )
-          : sessionList.map(([uid, data], index) => this.renderSession(uid, data, index))
+          : this.state.viewMode === 'agents'
+            ? this.renderAgentBoard(sessionList)
+            : sessionList.map(([uid, data], index) => this.renderSession(uid, data, index))
       );
 
       const existingChildren = this.props.customChildren
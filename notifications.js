@@ -0,0 +1,106 @@
+// Desktop notifications for hyper-session-sidebar
+// Wraps the HTML5 Notification API (available in Hyper's renderer) with
+// do-not-disturb, per-session cooldowns and a global rate limit
+
+const RATE_WINDOW = 60000;  // Global rate limit window (1 minute)
+const BODY_LINE_LIMIT = 120;
+
+// Runtime state - do-not-disturb is toggled from the sidebar header
+let doNotDisturb = false;
+let sentTimes = [];           // Timestamps of notifications in the current window
+const lastSentBySession = {}; // uid -> timestamp of the last notification
+
+/**
+ * Whether the HTML5 Notification API is available
+ * @returns {boolean}
+ */
+const isSupported = () => typeof window !== 'undefined' && typeof window.Notification === 'function';
+
+/**
+ * Toggle do-not-disturb (suppresses every notification)
+ * @param {boolean} enabled
+ */
+const setDoNotDisturb = (enabled) => {
+  doNotDisturb = !!enabled;
+};
+
+/**
+ * @returns {boolean}
+ */
+const isDoNotDisturb = () => doNotDisturb;
+
+/**
+ * Check the cooldown and rate limit without sending anything
+ * @param {string} uid - Session uid
+ * @param {number} now - Current timestamp
+ * @param {Object} limits - { cooldown: ms per session, rateLimit: max per minute }
+ * @returns {boolean}
+ */
+const canNotify = (uid, now, { cooldown, rateLimit }) => {
+  if (doNotDisturb) return false;
+
+  const last = lastSentBySession[uid];
+  if (last && cooldown > 0 && now - last < cooldown) return false;
+
+  sentTimes = sentTimes.filter(time => now - time < RATE_WINDOW);
+  if (rateLimit > 0 && sentTimes.length >= rateLimit) return false;
+
+  return true;
+};
+
+// Keep bodies short - the OS truncates long ones unpredictably
+const truncate = (text) => {
+  const value = (text || '').trim();
+  return value.length > BODY_LINE_LIMIT ? `${value.slice(0, BODY_LINE_LIMIT - 1)}…` : value;
+};
+
+/**
+ * Show a notification for a session if the limits allow it
+ * @param {Object} options
+ * @param {string} options.uid - Session uid (for cooldown tracking)
+ * @param {string} options.title - Notification title
+ * @param {string[]} options.lines - Body lines (empty lines are dropped)
+ * @param {Function} [options.onClick] - Called when the notification is clicked
+ * @param {Object} limits - { cooldown, rateLimit } (see canNotify)
+ * @returns {boolean} - Whether a notification was shown
+ */
+const notify = ({ uid, title, lines, onClick }, limits) => {
+  if (!isSupported()) return false;
+
+  const now = Date.now();
+  if (!canNotify(uid, now, limits)) return false;
+
+  try {
+    const notification = new window.Notification(title, {
+      body: (lines || []).map(truncate).filter(Boolean).join('\n'),
+      tag: `hyper-session-sidebar-${uid}`,  // Replaces an older one for the same session
+    });
+    notification.onclick = () => {
+      if (onClick) onClick();
+      notification.close();
+    };
+  } catch (e) {
+    return false;
+  }
+
+  lastSentBySession[uid] = now;
+  sentTimes.push(now);
+  return true;
+};
+
+/**
+ * Forget cooldown state for a closed session
+ * @param {string} uid - Session uid
+ */
+const forgetSession = (uid) => {
+  delete lastSentBySession[uid];
+};
+
+module.exports = {
+  isSupported,
+  setDoNotDisturb,
+  isDoNotDisturb,
+  canNotify,
+  notify,
+  forgetSession,
+};
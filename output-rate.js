@@ -0,0 +1,90 @@
+// Output rate tracking for hyper-session-sidebar
+// Each session keeps a ring buffer with one bucket per second for the last few
+// minutes, counting the output it received. A runaway log loop shows up as a
+// flat high line, a stalled build as a line that dropped to zero.
+
+const RATE_WINDOW = 5 * 60;  // Seconds kept per session
+
+/**
+ * Create an empty ring buffer
+ * @param {number} [size] - Number of one-second buckets
+ * @returns {Object} - { buckets, second } (second: the newest second written, or null)
+ */
+const createRateBuffer = (size = RATE_WINDOW) => ({
+  buckets: new Array(size).fill(0),
+  second: null,
+});
+
+/**
+ * Count output received at a point in time
+ * @param {Object} buffer - Ring buffer (see createRateBuffer)
+ * @param {number} bytes - Size of the output (characters, close enough for a rate)
+ * @param {number} now - Current timestamp
+ */
+const recordOutput = (buffer, bytes, now = Date.now()) => {
+  const size = buffer.buckets.length;
+  const second = Math.floor(now / 1000);
+  if (buffer.second === null || second - buffer.second >= size) {
+    buffer.buckets.fill(0);
+  } else if (second > buffer.second) {
+    // Seconds without output since the last write
+    for (let s = buffer.second + 1; s <= second; s++) {
+      buffer.buckets[s % size] = 0;
+    }
+  } else if (second < buffer.second) {
+    return;  // Clock went backwards - drop rather than corrupt newer buckets
+  }
+  buffer.second = second;
+  buffer.buckets[second % size] += bytes;
+};
+
+/**
+ * Bytes per second over the whole window, oldest first
+ * @param {Object} buffer - Ring buffer
+ * @param {number} now - Current timestamp
+ * @param {number} [points] - Average into this many points (defaults to one per second)
+ * @returns {number[]}
+ */
+const getRateSeries = (buffer, now = Date.now(), points = buffer.buckets.length) => {
+  const size = buffer.buckets.length;
+  const current = Math.floor(now / 1000);
+  const rates = [];
+  for (let s = current - size + 1; s <= current; s++) {
+    const valid = buffer.second !== null && s <= buffer.second && s > buffer.second - size;
+    rates.push(valid ? buffer.buckets[((s % size) + size) % size] : 0);
+  }
+  if (points >= size) return rates;
+
+  const group = size / points;
+  const averaged = [];
+  for (let i = 0; i < points; i++) {
+    const slice = rates.slice(Math.round(i * group), Math.round((i + 1) * group));
+    averaged.push(slice.reduce((sum, rate) => sum + rate, 0) / (slice.length || 1));
+  }
+  return averaged;
+};
+
+/**
+ * Summary of the window for tooltips
+ * @param {Object} buffer - Ring buffer
+ * @param {number} now - Current timestamp
+ * @param {number} [recent] - Seconds averaged for the current rate
+ * @returns {Object} - { current, peak, total } (bytes per second, bytes)
+ */
+const getRateStats = (buffer, now = Date.now(), recent = 5) => {
+  const rates = getRateSeries(buffer, now);
+  const last = rates.slice(-recent);
+  return {
+    current: last.reduce((sum, rate) => sum + rate, 0) / last.length,
+    peak: Math.max(0, ...rates),
+    total: rates.reduce((sum, rate) => sum + rate, 0),
+  };
+};
+
+module.exports = {
+  RATE_WINDOW,
+  createRateBuffer,
+  recordOutput,
+  getRateSeries,
+  getRateStats,
+};
@@ -0,0 +1,208 @@
+// Output rules for hyper-session-sidebar
+// User-defined rules from `sessionSidebar.rules`: when a line of a session's
+// output matches a rule, the rule badges or colors the card, flags it as
+// needing attention, or raises a notification. Badges, colors and flags stay
+// on the session as "marks" until replaced, or until the next shell prompt
+// for rules with `clearOnPrompt`.
+
+const os = require('os');
+
+// Effects that stay on the card
+const MARK_FIELDS = ['badge', 'color', 'attention'];
+
+// Shell executable -> name used by the `shell` filter ('/bin/bash' -> 'bash', 'pwsh.exe' -> 'pwsh')
+const getShellName = shell => (shell || '').split(/[\\/]/).pop().replace(/\.exe$/i, '').toLowerCase();
+
+// Both separators compare as '/'
+const normalizePath = value => value.replace(/\\/g, '/');
+
+/**
+ * Compile a cwd glob: `**` matches any number of directories, `*` and `?`
+ * stay within one; a leading `~` is the home directory. A trailing `/**`
+ * also matches the directory itself
+ * @param {string} glob - e.g. '~/work/app/**'
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  const expanded = normalizePath(glob.replace(/^~(?=$|[\\/])/, os.homedir()));
+  let source = '';
+  for (let i = 0; i < expanded.length; i++) {
+    const ch = expanded[i];
+    if (ch === '*' && expanded[i + 1] === '*') {
+      // '/**' at the end also matches the directory itself
+      if (source.endsWith('/') && i + 2 === expanded.length) {
+        source = `${source.slice(0, -1)}(?:/.*)?`;
+      } else {
+        source += '.*';
+      }
+      i += 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  // Windows paths are case-insensitive
+  return new RegExp(`^${source}/?$`, process.platform === 'win32' ? 'i' : '');
+};
+
+// 'x' or ['x', 'y'] -> ['x', 'y'] (lowercase), null when not given
+const toNameList = (value) => {
+  if (value == null) return null;
+  return [].concat(value).map(name => String(name).toLowerCase());
+};
+
+/**
+ * Validate and compile one rule from `sessionSidebar.rules`
+ * { name, match, flags, shell, cwd, assistant, badge, color, notify, attention, clearOnPrompt, disabled }
+ * @param {Object} entry - Rule as written in the config
+ * @param {number} index - Position in the list (for error messages)
+ * @returns {{ rule: Object|null, error: string|null }}
+ */
+const compileRule = (entry, index) => {
+  const label = entry && entry.name ? `"${entry.name}"` : `#${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    return { rule: null, error: `rules ${label}: must be an object` };
+  }
+  if (entry.disabled) return { rule: null, error: null };
+
+  let regex;
+  try {
+    if (entry.match instanceof RegExp) {
+      regex = new RegExp(entry.match.source, entry.match.flags.replace(/[gy]/g, ''));
+    } else if (typeof entry.match === 'string' && entry.match) {
+      regex = new RegExp(entry.match, (entry.flags || '').replace(/[gy]/g, ''));
+    } else {
+      return { rule: null, error: `rules ${label}: "match" must be a regex or a non-empty string` };
+    }
+  } catch (e) {
+    return { rule: null, error: `rules ${label}: invalid regex - ${e.message}` };
+  }
+
+  if (entry.cwd != null && (typeof entry.cwd !== 'string' || !entry.cwd)) {
+    return { rule: null, error: `rules ${label}: "cwd" must be a glob string` };
+  }
+  if (entry.badge != null && typeof entry.badge !== 'string') {
+    return { rule: null, error: `rules ${label}: "badge" must be a string` };
+  }
+  if (entry.color != null && typeof entry.color !== 'string') {
+    return { rule: null, error: `rules ${label}: "color" must be a theme color name or a CSS color` };
+  }
+  if (entry.notify != null && typeof entry.notify !== 'boolean' && typeof entry.notify !== 'string') {
+    return { rule: null, error: `rules ${label}: "notify" must be true or a message` };
+  }
+
+  const rule = {
+    name: entry.name || `rule ${index + 1}`,
+    regex,
+    shells: toNameList(entry.shell),
+    cwd: entry.cwd ? globToRegExp(entry.cwd) : null,
+    assistants: toNameList(entry.assistant),
+    badge: entry.badge || null,
+    color: entry.color || null,
+    notify: entry.notify || null,
+    attention: !!entry.attention,
+    clearOnPrompt: !!entry.clearOnPrompt,
+  };
+  if (!rule.badge && !rule.color && !rule.notify && !rule.attention) {
+    return { rule: null, error: `rules ${label}: needs an action (badge, color, notify or attention)` };
+  }
+  return { rule, error: null };
+};
+
+/**
+ * Compile `sessionSidebar.rules`; bad entries are reported and skipped
+ * @param {Array} entries - Rules as written in the config
+ * @returns {{ rules: Object[], errors: string[] }}
+ */
+const compileRules = (entries) => {
+  if (entries == null) return { rules: [], errors: [] };
+  if (!Array.isArray(entries)) return { rules: [], errors: ['rules must be an array'] };
+
+  const rules = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const { rule, error } = compileRule(entry, index);
+    if (error) errors.push(error);
+    else if (rule) rules.push(rule);
+  });
+  return { rules, errors };
+};
+
+/**
+ * Whether a rule's session filters accept a session
+ * @param {Object} rule - Compiled rule
+ * @param {Object} session - Session data
+ * @returns {boolean}
+ */
+const ruleAppliesTo = (rule, session) => {
+  if (rule.shells && !rule.shells.includes(getShellName(session.shell))) return false;
+  if (rule.cwd && !(session.cwd && rule.cwd.test(normalizePath(session.cwd)))) return false;
+  if (rule.assistants && !rule.assistants.includes((session.aiAssistantId || 'none').toLowerCase())) return false;
+  return true;
+};
+
+/**
+ * Rules matching any of a session's new output lines
+ * @param {Object[]} rules - Compiled rules
+ * @param {Object} session - Session data
+ * @param {string[]} lines - Output lines without escape sequences
+ * @returns {Object[]} - [{ rule, line }] in rule order, each rule at most once
+ */
+const matchRules = (rules, session, lines) => {
+  const matches = [];
+  rules.forEach((rule) => {
+    if (!ruleAppliesTo(rule, session)) return;
+    const line = lines.find(text => rule.regex.test(text));
+    if (line !== undefined) matches.push({ rule, line });
+  });
+  return matches;
+};
+
+/**
+ * Put a matched rule's badge, color and attention flag on the session
+ * (a later match replaces only the fields its rule sets)
+ * @param {Object} session - Session with ruleMarks
+ * @param {Object} rule - Compiled rule
+ * @param {string} line - Matching line
+ * @param {number} now - Current timestamp
+ */
+const applyRule = (session, rule, line, now = Date.now()) => {
+  MARK_FIELDS.forEach((field) => {
+    if (!rule[field]) return;
+    session.ruleMarks[field] = { value: rule[field], rule: rule.name, line, clearOnPrompt: rule.clearOnPrompt, time: now };
+  });
+};
+
+/**
+ * Remove marks: those of `clearOnPrompt` rules when the shell draws a prompt,
+ * or the given fields
+ * @param {Object} session - Session with ruleMarks
+ * @param {string[]} [fields] - Fields to clear regardless of their rule
+ * @returns {boolean} - true if anything was removed
+ */
+const clearRuleMarks = (session, fields) => {
+  let cleared = false;
+  MARK_FIELDS.forEach((field) => {
+    const mark = session.ruleMarks[field];
+    if (mark && (fields ? fields.includes(field) : mark.clearOnPrompt)) {
+      delete session.ruleMarks[field];
+      cleared = true;
+    }
+  });
+  return cleared;
+};
+
+module.exports = {
+  MARK_FIELDS,
+  getShellName,
+  globToRegExp,
+  compileRule,
+  compileRules,
+  ruleAppliesTo,
+  matchRules,
+  applyRule,
+  clearRuleMarks,
+};
@@ -0,0 +1,372 @@
+// Process inspection helpers for hyper-session-sidebar
+// Linux reads /proc directly; macOS falls back to ps/lsof without a shell pipeline
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const IS_LINUX = process.platform === 'linux';
+const IS_MAC = process.platform === 'darwin';
+
+// =============================================================================
+// /proc HELPERS (Linux)
+// =============================================================================
+
+/**
+ * Parse the contents of /proc/<pid>/stat
+ * The comm field is wrapped in parens and may itself contain spaces or parens,
+ * so fields are split after the last ')'
+ * @param {string} content - Raw stat file contents
+ * @returns {Object|null} - { pid, comm, state, ppid, pgrp, sid, tpgid, starttime }
+ */
+const parseProcStat = (content) => {
+  if (!content) return null;
+  const open = content.indexOf('(');
+  const close = content.lastIndexOf(')');
+  if (open === -1 || close === -1) return null;
+
+  // Fields after comm start at field 3 (state)
+  const fields = content.slice(close + 2).trim().split(/\s+/);
+  return {
+    pid: parseInt(content.slice(0, open), 10),
+    comm: content.slice(open + 1, close),
+    state: fields[0],
+    ppid: parseInt(fields[1], 10),
+    pgrp: parseInt(fields[2], 10),
+    sid: parseInt(fields[3], 10),
+    tpgid: parseInt(fields[5], 10),
+    starttime: parseInt(fields[19], 10),  // clock ticks since boot
+  };
+};
+
+/**
+ * Read and parse /proc/<pid>/stat
+ * @param {number} pid
+ * @returns {Promise<Object|null>}
+ */
+const readProcStat = (pid) => {
+  return fs.promises.readFile(`/proc/${pid}/stat`, 'utf8')
+    .then(parseProcStat)
+    .catch(() => null);
+};
+
+/**
+ * Read the cwd symlink of a process
+ * @param {number} pid
+ * @returns {Promise<string|null>}
+ */
+const readProcCwd = (pid) => {
+  return fs.promises.readlink(`/proc/${pid}/cwd`).catch(() => null);
+};
+
+/**
+ * Read a process's argv from /proc/<pid>/cmdline (NUL separated)
+ * @param {number} pid
+ * @returns {Promise<string[]>}
+ */
+const readProcCmdline = (pid) => {
+  return fs.promises.readFile(`/proc/${pid}/cmdline`, 'utf8')
+    .then((content) => content.split('\0').filter(Boolean))
+    .catch(() => []);
+};
+
+/**
+ * Read the direct children of a process
+ * Requires /proc/<pid>/task/<pid>/children (Linux 3.5+), empty otherwise
+ * @param {number} pid
+ * @returns {Promise<number[]>}
+ */
+const readProcChildren = (pid) => {
+  return fs.promises.readFile(`/proc/${pid}/task/${pid}/children`, 'utf8')
+    .then((content) => content.trim().split(/\s+/).filter(Boolean).map(Number))
+    .catch(() => []);
+};
+
+// Boot time (epoch seconds) from /proc/stat, used to convert starttime ticks
+let bootTime = null;
+const CLOCK_TICKS = 100;  // USER_HZ - 100 on every mainstream Linux build
+
+const readBootTime = () => {
+  if (bootTime !== null) return Promise.resolve(bootTime);
+  return fs.promises.readFile('/proc/stat', 'utf8')
+    .then((content) => {
+      const match = content.match(/^btime\s+(\d+)/m);
+      bootTime = match ? parseInt(match[1], 10) : 0;
+      return bootTime;
+    })
+    .catch(() => 0);
+};
+
+// =============================================================================
+// ps / lsof HELPERS (macOS)
+// =============================================================================
+
+// Run a command without a shell and resolve with stdout ('' on failure)
+const run = (file, args) => new Promise((resolve) => {
+  execFile(file, args, { timeout: 2000 }, (err, stdout) => {
+    resolve(err ? '' : stdout);
+  });
+});
+
+// Foreground process group of the terminal the pid is attached to
+const psForegroundGroup = (pid) => {
+  return run('ps', ['-o', 'tpgid=', '-p', String(pid)])
+    .then((stdout) => parseInt(stdout.trim(), 10) || null);
+};
+
+// lsof -Fn prints one field per line; the cwd path is on the 'n' line
+const lsofCwd = (pid) => {
+  return run('lsof', ['-a', '-d', 'cwd', '-Fn', '-p', String(pid)])
+    .then((stdout) => {
+      const line = stdout.split('\n').find(l => l.startsWith('n'));
+      return line ? line.slice(1) : null;
+    });
+};
+
+// =============================================================================
+// CWD RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the working directory of a terminal session
+ * Prefers the terminal's foreground process group (tpgid) so a `cd` inside a
+ * nested shell or a running tool is reflected, then falls back to the PTY's
+ * own process (the login shell)
+ * @param {number} pid - PTY process id (the shell Hyper spawned)
+ * @returns {Promise<{ path: string, source: string, pid: number }|null>}
+ */
+const resolveCwd = (pid) => {
+  if (!pid) return Promise.resolve(null);
+
+  if (IS_LINUX) {
+    return readProcStat(pid).then((stat) => {
+      const fgPid = stat && stat.tpgid > 0 && stat.tpgid !== pid ? stat.tpgid : null;
+      const foreground = fgPid ? readProcCwd(fgPid) : Promise.resolve(null);
+
+      return foreground.then((fgCwd) => {
+        if (fgCwd) return { path: fgCwd, source: 'proc:foreground', pid: fgPid };
+        return readProcCwd(pid).then((cwd) => (
+          cwd ? { path: cwd, source: 'proc:shell', pid } : null
+        ));
+      });
+    });
+  }
+
+  if (IS_MAC) {
+    return psForegroundGroup(pid).then((fgPid) => {
+      const foreground = fgPid && fgPid !== pid ? lsofCwd(fgPid) : Promise.resolve(null);
+
+      return foreground.then((fgCwd) => {
+        if (fgCwd) return { path: fgCwd, source: 'lsof:foreground', pid: fgPid };
+        return lsofCwd(pid).then((cwd) => (
+          cwd ? { path: cwd, source: 'lsof:shell', pid } : null
+        ));
+      });
+    });
+  }
+
+  // Windows: CWD detection is handled via terminal output parsing
+  return Promise.resolve(null);
+};
+
+// =============================================================================
+// FOREGROUND PROCESS RESOLUTION
+// =============================================================================
+
+// Launchers that exec a single child doing the real work - the resolver
+// descends through these so `npx vite` reports vite, not npx
+const WRAPPER_NAMES = new Set([
+  'sh', 'dash', 'env', 'sudo', 'doas', 'time', 'nohup', 'nice',
+  'npx', 'npm', 'pnpm', 'yarn', 'bunx', 'uvx', 'pipx',
+]);
+
+// Interpreters whose script argument is a better name than the binary
+const INTERPRETER_NAMES = new Set([
+  'node', 'python', 'python3', 'ruby', 'perl', 'bun', 'deno', 'php',
+]);
+
+// Interpreter flags that run inline code, and flags that consume the next arg
+const INLINE_CODE_FLAGS = new Set(['-e', '--eval', '-p', '--print', '-c']);
+const VALUE_FLAGS = new Set(['-r', '--require', '--import', '--loader', '-W', '-X']);
+
+// Script basenames that say nothing about the tool (use the package dir instead)
+const GENERIC_SCRIPT_NAMES = new Set(['cli', 'index', 'main', '__main__', 'run', 'bin']);
+
+/**
+ * Derive a human-friendly process name
+ * `node /usr/lib/node_modules/@anthropic-ai/claude-code/cli.js` -> 'claude-code',
+ * `python -m aider` -> 'aider', everything else -> binary basename
+ * @param {string} comm - Kernel process name (truncated to 15 chars)
+ * @param {string[]} argv - Full argument vector
+ * @returns {string}
+ */
+const resolveProcessName = (comm, argv = []) => {
+  const binary = argv[0] ? path.basename(argv[0]) : '';
+  // comm is truncated to 15 chars; prefer argv[0] when it extends comm
+  const base = binary && comm && binary.startsWith(comm) ? binary : (comm || binary);
+  const interpreter = base.replace(/[\d.]+$/, '');
+
+  if (!INTERPRETER_NAMES.has(interpreter)) return base;
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-m' && argv[i + 1]) return argv[i + 1].split('.')[0];
+    // Inline code (`node -e`, `python -c`) has no script to name
+    if (INLINE_CODE_FLAGS.has(arg)) return base;
+    if (VALUE_FLAGS.has(arg)) { i++; continue; }
+    if (arg.startsWith('-')) continue;
+
+    const script = path.basename(arg).replace(/\.(c|m)?(js|ts|py|rb|pl|php)$/, '');
+    if (!GENERIC_SCRIPT_NAMES.has(script)) return script;
+    const parent = path.basename(path.dirname(arg));
+    return parent === 'bin' ? path.basename(path.dirname(path.dirname(arg))) : parent;
+  }
+
+  return base;
+};
+
+// Build the foreground process record for a pid (Linux)
+const describeProcess = (pid, stat) => {
+  return Promise.all([readProcCmdline(pid), readBootTime()]).then(([argv, btime]) => ({
+    pid,
+    name: resolveProcessName(stat.comm, argv),
+    comm: stat.comm,
+    argv,
+    startTime: btime ? (btime * 1000) + Math.round((stat.starttime / CLOCK_TICKS) * 1000) : null,
+  }));
+};
+
+// Follow single-child wrapper chains inside the foreground group (Linux)
+const descendWrappers = (pid, stat, depth = 0) => {
+  if (depth >= 5 || !WRAPPER_NAMES.has(stat.comm)) {
+    return Promise.resolve({ pid, stat });
+  }
+
+  return readProcChildren(pid).then((children) => {
+    if (children.length !== 1) return { pid, stat };
+    return readProcStat(children[0]).then((childStat) => (
+      childStat && childStat.pgrp === stat.pgrp
+        ? descendWrappers(children[0], childStat, depth + 1)
+        : { pid, stat }
+    ));
+  });
+};
+
+// macOS: ps reports the foreground group leader's start time and command line
+const psProcess = (pid) => {
+  return run('ps', ['-o', 'lstart=,comm=', '-p', String(pid)]).then((info) => {
+    if (!info.trim()) return null;
+    return run('ps', ['-o', 'args=', '-p', String(pid)]).then((args) => {
+      // lstart is a fixed-width 24 char date ("Mon Oct 19 10:00:00 2026")
+      const line = info.trim();
+      const comm = path.basename(line.slice(24).trim());
+      const argv = args.trim().split(/\s+/).filter(Boolean);
+      return {
+        pid,
+        name: resolveProcessName(comm, argv),
+        comm,
+        argv,
+        startTime: Date.parse(line.slice(0, 24)) || null,
+      };
+    });
+  });
+};
+
+/**
+ * Resolve the process currently in the foreground of a session's terminal
+ * Walks the PTY's process tree: the terminal's foreground process group
+ * (tpgid) names the leader, then single-child wrappers are descended
+ * @param {number} pid - PTY process id (the shell Hyper spawned)
+ * @returns {Promise<{ pid: number, name: string, comm: string, argv: string[], startTime: number|null, isShell: boolean }|null>}
+ */
+const resolveForegroundProcess = (pid) => {
+  if (!pid) return Promise.resolve(null);
+
+  if (IS_LINUX) {
+    return readProcStat(pid).then((shellStat) => {
+      if (!shellStat) return null;
+
+      const leaderPid = shellStat.tpgid > 0 ? shellStat.tpgid : pid;
+      const leaderStat = leaderPid === pid ? Promise.resolve(shellStat) : readProcStat(leaderPid);
+
+      return leaderStat.then((stat) => {
+        // The group must belong to this PTY's session, otherwise show the shell
+        if (!stat || stat.sid !== shellStat.sid) {
+          return { pid, stat: shellStat };
+        }
+        return descendWrappers(leaderPid, stat);
+      }).then(({ pid: fgPid, stat }) => describeProcess(fgPid, stat))
+        .then((info) => ({ ...info, isShell: info.pid === pid }));
+    });
+  }
+
+  if (IS_MAC) {
+    return psForegroundGroup(pid).then((fgPid) => (
+      psProcess(fgPid && fgPid > 0 ? fgPid : pid)
+    )).then((info) => (info ? { ...info, isShell: info.pid === pid } : null));
+  }
+
+  return Promise.resolve(null);
+};
+
+// =============================================================================
+// ANCESTRY
+// =============================================================================
+
+const MAX_ANCESTORS = 20;
+
+// Parent pid of a process (Linux: /proc, macOS: ps)
+const readParentPid = (pid) => {
+  if (IS_LINUX) {
+    return readProcStat(pid).then(stat => (stat ? stat.ppid : null));
+  }
+  if (IS_MAC) {
+    return run('ps', ['-o', 'ppid=', '-p', String(pid)]).then(stdout => parseInt(stdout.trim(), 10) || null);
+  }
+  return Promise.resolve(null);
+};
+
+/**
+ * List a process and its ancestors, nearest first (stops at pid 1)
+ * Used to find which terminal session a hook process belongs to
+ * @param {number} pid
+ * @returns {Promise<number[]>}
+ */
+const resolveAncestors = (pid) => {
+  const chain = [];
+  const walk = (current) => {
+    if (!current || current <= 1 || chain.length >= MAX_ANCESTORS || chain.includes(current)) {
+      return Promise.resolve(chain);
+    }
+    chain.push(current);
+    return readParentPid(current).then(walk);
+  };
+  return walk(pid);
+};
+
+/**
+ * Whether native process inspection is available on this platform
+ * @returns {boolean}
+ */
+const isSupported = () => IS_LINUX || IS_MAC;
+
+/**
+ * Whether inspecting a process spawns helper programs (ps and lsof on macOS)
+ * instead of reading /proc, so callers should poll it sparingly
+ * @returns {boolean}
+ */
+const spawnsProcesses = () => IS_MAC;
+
+module.exports = {
+  parseProcStat,
+  readProcStat,
+  readProcCwd,
+  readProcCmdline,
+  readProcChildren,
+  resolveCwd,
+  resolveProcessName,
+  resolveForegroundProcess,
+  resolveAncestors,
+  isSupported,
+  spawnsProcesses,
+};
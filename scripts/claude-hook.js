@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// hyper-agent-session-sidebar hook for Claude Code
+// Forwards the hook event Claude Code writes to stdin to the sidebar's local
+// socket, tagged with the tab it runs in. Install it for the events listed in
+// the README (Hyper's "Copy Claude Code Hooks Config" menu item prints them).
+//
+// It never blocks or fails Claude: every error path exits 0 without output.
+
+const net = require('net');
+
+const SEND_TIMEOUT = 1000;
+const TEXT_LIMIT = 200;
+
+// Tool input fields worth showing in the sidebar - everything else (file
+// contents, edits, tool output) stays out of the socket
+const TOOL_INPUT_FIELDS = ['command', 'file_path', 'path', 'url', 'pattern', 'query', 'description'];
+
+const socketPath = process.env.HYPER_SIDEBAR_SOCKET;
+if (!socketPath) process.exit(0);
+
+const done = () => process.exit(0);
+setTimeout(done, SEND_TIMEOUT).unref();
+
+const clip = (value) => {
+  const text = String(value);
+  return text.length > TEXT_LIMIT ? text.slice(0, TEXT_LIMIT) : text;
+};
+
+const pickToolInput = (input) => {
+  if (!input || typeof input !== 'object') return undefined;
+  const picked = {};
+  TOOL_INPUT_FIELDS.forEach((field) => {
+    if (input[field] != null) picked[field] = clip(input[field]);
+  });
+  return picked;
+};
+
+let raw = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { raw += chunk; });
+process.stdin.on('error', done);
+process.stdin.on('end', () => {
+  let input;
+  try {
+    input = JSON.parse(raw);
+  } catch (e) {
+    done();
+    return;
+  }
+
+  const event = {
+    hook_event_name: input.hook_event_name,
+    session_id: input.session_id,
+    transcript_path: input.transcript_path,
+    cwd: input.cwd,
+    tool_name: input.tool_name,
+    tool_input: pickToolInput(input.tool_input),
+    message: input.message ? clip(input.message) : undefined,
+    source: input.source,
+    reason: input.reason,
+    ptyPid: parseInt(process.env.HYPER_SIDEBAR_PTY_PID, 10) || null,
+    ppid: process.ppid,
+    time: Date.now(),
+  };
+
+  const socket = net.connect(socketPath, () => {
+    socket.end(`${JSON.stringify(event)}\n`);
+  });
+  socket.on('close', done);
+  socket.on('error', done);
+});
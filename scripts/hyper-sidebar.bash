@@ -0,0 +1,67 @@
+# hyper-agent-session-sidebar shell integration for bash (4.4+)
+# Emits OSC 7 (cwd), OSC 133 prompt marks and the sidebar's session label OSC.
+#
+#   [ "$TERM_PROGRAM" = "Hyper" ] && source /path/to/scripts/hyper-sidebar.bash
+#
+# Label the current tab in the sidebar with: sidebar_label "api server"
+
+# Only load once per shell, and only in interactive shells
+[[ $- == *i* ]] || return 0
+[[ -n "$__HYPER_SIDEBAR_LOADED" ]] && return 0
+__HYPER_SIDEBAR_LOADED=1
+
+# Pid of the shell Hyper spawned, inherited by everything started from it so
+# the Claude Code hook can say which tab it runs in (Git Bash: Windows pid)
+if [[ -z "$HYPER_SIDEBAR_PTY_PID" ]]; then
+  if [[ -r /proc/$$/winpid ]]; then
+    export HYPER_SIDEBAR_PTY_PID="$(</proc/$$/winpid)"
+  else
+    export HYPER_SIDEBAR_PTY_PID=$$
+  fi
+fi
+
+__hyper_sidebar_osc7() {
+  local cwd="${PWD// /%20}"
+  printf '\e]7;file://%s%s\a' "${HOSTNAME:-localhost}" "$cwd"
+}
+
+__hyper_sidebar_precmd() {
+  local status=$?
+  # D closes the previous command (skipped before the very first prompt;
+  # a D after an empty command line has no C and is ignored by the sidebar)
+  if [[ -n "$__hyper_sidebar_prompted" ]]; then
+    printf '\e]133;D;%s\a' "$status"
+  fi
+  __hyper_sidebar_prompted=1
+  __hyper_sidebar_osc7
+  printf '\e]133;A\a'
+  return $status
+}
+
+sidebar_label() {
+  printf '\e]6973;label=%s\a' "$*"
+}
+
+# B marks the end of the prompt; PS0 is expanded right before a command runs.
+# Prompt frameworks (starship, oh-my-bash, bash-git-prompt) rebuild PS1 in
+# their own PROMPT_COMMAND on every prompt, so the marks are re-added after
+# them each time, and this function moves itself back to the end of
+# PROMPT_COMMAND if something was added behind it
+__hyper_sidebar_mark_prompt() {
+  local status=$?
+  [[ "$PS1" == *'\e]133;B\a'* ]] || PS1="${PS1}\[\e]133;B\a\]"
+  [[ "$PS0" == *'\e]133;C\a'* ]] || PS0="\e]133;C\a${PS0}"
+
+  if [[ "$PROMPT_COMMAND" != *__hyper_sidebar_mark_prompt ]]; then
+    local commands="${PROMPT_COMMAND//;__hyper_sidebar_mark_prompt/}"
+    commands="${commands//__hyper_sidebar_mark_prompt;/}"
+    while [[ "$commands" == *[\;[:space:]] ]]; do commands="${commands%?}"; done
+    PROMPT_COMMAND="${commands:+$commands;}__hyper_sidebar_mark_prompt"
+  fi
+  return $status
+}
+
+if [[ "$PROMPT_COMMAND" != *__hyper_sidebar_precmd* ]]; then
+  PROMPT_COMMAND="__hyper_sidebar_precmd${PROMPT_COMMAND:+;$PROMPT_COMMAND}"
+fi
+__hyper_sidebar_mark_prompt
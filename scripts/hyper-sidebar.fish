@@ -0,0 +1,33 @@
+# hyper-agent-session-sidebar shell integration for fish
+# Emits OSC 7 (cwd), OSC 133 prompt marks and the sidebar's session label OSC.
+#
+#   test "$TERM_PROGRAM" = Hyper; and source /path/to/scripts/hyper-sidebar.fish
+#
+# Label the current tab in the sidebar with: sidebar_label "api server"
+
+status is-interactive; or exit 0
+set -q __hyper_sidebar_loaded; and exit 0
+set -g __hyper_sidebar_loaded 1
+
+# Pid of the shell Hyper spawned, inherited by everything started from it so
+# the Claude Code hook can say which tab it runs in
+set -q HYPER_SIDEBAR_PTY_PID; or set -gx HYPER_SIDEBAR_PTY_PID $fish_pid
+
+function __hyper_sidebar_prompt --on-event fish_prompt
+    printf '\e]7;file://%s%s\a' (hostname) (string replace -a ' ' '%20' -- $PWD)
+    printf '\e]133;A\a'
+end
+
+function __hyper_sidebar_preexec --on-event fish_preexec
+    # OSC 633;E carries the exact command line (';' and '\' escaped)
+    set -l cmd (string replace -a '\\' '\\\\' -- "$argv" | string replace -a ';' '\\x3b' | string join '\\x0a')
+    printf '\e]633;E;%s\a\e]133;C\a' "$cmd"
+end
+
+function __hyper_sidebar_postexec --on-event fish_postexec
+    printf '\e]133;D;%s\a' $status
+end
+
+function sidebar_label
+    printf '\e]6973;label=%s\a' "$argv"
+end
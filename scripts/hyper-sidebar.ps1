@@ -0,0 +1,59 @@
+# hyper-agent-session-sidebar shell integration for PowerShell (5.1 and 7+)
+# Emits OSC 7 (cwd), OSC 133 prompt marks and the sidebar's session label OSC.
+#
+#   if ($env:TERM_PROGRAM -eq 'Hyper') { . C:\path\to\scripts\hyper-sidebar.ps1 }
+#
+# Label the current tab in the sidebar with: sidebar_label "api server"
+
+if ($global:__HyperSidebarLoaded) { return }
+$global:__HyperSidebarLoaded = $true
+$global:__HyperSidebarRan = $false
+
+# Pid of the shell Hyper spawned, inherited by everything started from it so
+# the Claude Code hook can say which tab it runs in
+if (-not $env:HYPER_SIDEBAR_PTY_PID) { $env:HYPER_SIDEBAR_PTY_PID = "$PID" }
+
+$global:__HyperSidebarOriginalPrompt = $function:prompt
+
+function global:prompt {
+    $success = $?
+    $exitCode = if ($success) { 0 } elseif ($LASTEXITCODE) { $LASTEXITCODE } else { 1 }
+    $e = [char]0x1b
+    $a = [char]0x07
+    $out = ''
+    if ($global:__HyperSidebarRan) {
+        $out += "$e]133;D;$exitCode$a"
+        $global:__HyperSidebarRan = $false
+    }
+    $location = $executionContext.SessionState.Path.CurrentLocation
+    if ($location.Provider.Name -eq 'FileSystem') {
+        $cwd = $location.ProviderPath -replace '\\', '/' -replace ' ', '%20'
+        if ($cwd -notmatch '^/') { $cwd = "/$cwd" }
+        $out += "$e]7;file://$env:COMPUTERNAME$cwd$a"
+    }
+    $out += "$e]133;A$a"
+    $out += & $global:__HyperSidebarOriginalPrompt
+    $out += "$e]133;B$a"
+    return $out
+}
+
+# Emit the command line and C right before PSReadLine accepts the input
+if (Get-Module -ListAvailable -Name PSReadLine) {
+    Set-PSReadLineKeyHandler -Chord Enter -ScriptBlock {
+        $line = $null
+        $cursor = $null
+        [Microsoft.PowerShell.PSConsoleReadLine]::GetBufferState([ref]$line, [ref]$cursor)
+        if ($line.Trim()) {
+            $global:__HyperSidebarRan = $true
+            $e = [char]0x1b
+            $a = [char]0x07
+            $cmd = $line -replace '\\', '\\' -replace ';', '\x3b' -replace "`n", '\x0a'
+            [Console]::Write("$e]633;E;$cmd$a$e]133;C$a")
+        }
+        [Microsoft.PowerShell.PSConsoleReadLine]::AcceptLine()
+    }
+}
+
+function global:sidebar_label {
+    [Console]::Write("$([char]0x1b)]6973;label=$($args -join ' ')$([char]0x07)")
+}
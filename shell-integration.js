@@ -0,0 +1,160 @@
+// Shell integration helpers for hyper-session-sidebar
+// The scripts in ./scripts emit OSC 7 (cwd), OSC 133 (prompt marks) and the
+// sidebar's private OSC 6973 (session labels), making CWD and command
+// tracking deterministic instead of heuristic
+
+const path = require('path');
+
+const SCRIPTS_DIR = path.join(__dirname, 'scripts');
+
+// Private OSC used by `sidebar_label` to name a session: ESC ] 6973 ; label=<text> BEL
+const SESSION_LABEL_OSC = 6973;
+
+// POSIX single-quote escaping ('it'\''s')
+const quotePosix = (value) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+// Git Bash/MSYS shells on Windows need /c/... instead of C:\...
+const toMsysPath = (file) => {
+  return file.replace(/^([A-Za-z]):/, (m, drive) => `/${drive.toLowerCase()}`).replace(/\\/g, '/');
+};
+
+// Per-shell script, rc file and how to source a file
+const SHELLS = {
+  bash: {
+    script: 'hyper-sidebar.bash',
+    rcFile: '~/.bashrc',
+    // Leading space keeps the command out of history (HISTCONTROL=ignorespace)
+    source: (file) => ` source ${quotePosix(file)}`,
+    persist: (file) => `[ "$TERM_PROGRAM" = "Hyper" ] && source ${quotePosix(file)}`,
+  },
+  zsh: {
+    script: 'hyper-sidebar.zsh',
+    rcFile: '~/.zshrc',
+    source: (file) => ` source ${quotePosix(file)}`,
+    persist: (file) => `[[ "$TERM_PROGRAM" == "Hyper" ]] && source ${quotePosix(file)}`,
+  },
+  fish: {
+    script: 'hyper-sidebar.fish',
+    rcFile: '~/.config/fish/config.fish',
+    source: (file) => ` source '${file.replace(/['\\]/g, '\\$&')}'`,
+    persist: (file) => `test "$TERM_PROGRAM" = Hyper; and source '${file.replace(/['\\]/g, '\\$&')}'`,
+  },
+  pwsh: {
+    script: 'hyper-sidebar.ps1',
+    rcFile: '$PROFILE',
+    source: (file) => ` . '${file.replace(/'/g, "''")}'`,
+    persist: (file) => `if ($env:TERM_PROGRAM -eq 'Hyper') { . '${file.replace(/'/g, "''")}' }`,
+  },
+};
+
+/**
+ * Detect which integration script fits a session's shell
+ * @param {string} shell - Shell path from the session (e.g. /bin/zsh, pwsh.exe)
+ * @returns {string|null} - 'bash' | 'zsh' | 'fish' | 'pwsh' | null if unsupported
+ */
+const detectShellKind = (shell) => {
+  const name = path.basename((shell || '').replace(/\\/g, '/'), '.exe').toLowerCase();
+
+  if (name === 'pwsh' || name === 'powershell') return 'pwsh';
+  if (name.includes('zsh')) return 'zsh';
+  if (name.includes('fish')) return 'fish';
+  if (name.includes('bash')) return 'bash';
+  return null;
+};
+
+/**
+ * Get the script path as the target shell sees it
+ * Git Bash/MSYS zsh on Windows need /c/... instead of C:\...
+ * @param {string} kind - Shell kind from detectShellKind
+ * @returns {string|null}
+ */
+const getScriptPath = (kind) => {
+  const shell = SHELLS[kind];
+  if (!shell) return null;
+
+  const file = path.join(SCRIPTS_DIR, shell.script);
+  if (process.platform === 'win32' && (kind === 'bash' || kind === 'zsh')) {
+    return toMsysPath(file);
+  }
+  return file;
+};
+
+/**
+ * Command that loads the integration into a running shell
+ * @param {string} kind - Shell kind from detectShellKind
+ * @returns {string|null} - Command line including the trailing carriage return
+ */
+const getInjectCommand = (kind) => {
+  const file = getScriptPath(kind);
+  return file ? `${SHELLS[kind].source(file)}\r` : null;
+};
+
+/**
+ * Setup instructions for loading the integration in every new session
+ * @param {string} kind - Shell kind from detectShellKind
+ * @returns {{ rcFile: string, line: string }|null}
+ */
+const getSetupInstructions = (kind) => {
+  const file = getScriptPath(kind);
+  return file ? { rcFile: SHELLS[kind].rcFile, line: SHELLS[kind].persist(file) } : null;
+};
+
+/**
+ * Command that prints the setup instructions in the session itself
+ * Falls back to a plain echo for shells without an integration script (cmd)
+ * @param {string} kind - Shell kind from detectShellKind
+ * @returns {string} - Command line including the trailing carriage return
+ */
+const getInstructionsCommand = (kind) => {
+  const setup = getSetupInstructions(kind);
+  if (!setup) {
+    return ' echo Shell integration is available for bash, zsh, fish and PowerShell\r';
+  }
+
+  const message = `Add to ${setup.rcFile}: ${setup.line}`;
+  if (kind === 'pwsh') {
+    return ` Write-Host '${message.replace(/'/g, "''")}'\r`;
+  }
+  return ` echo ${kind === 'fish' ? `'${message.replace(/['\\]/g, '\\$&')}'` : quotePosix(message)}\r`;
+};
+
+/**
+ * Command that changes into a directory and optionally runs a startup command
+ * Used to start an agent in a freshly created worktree
+ * @param {string} shell - Shell path from the session
+ * @param {string} dir - Directory to change into
+ * @param {string} [command] - Command to run afterwards (e.g. 'claude')
+ * @returns {string} - Command line including the trailing carriage return
+ */
+const getStartupCommand = (shell, dir, command) => {
+  const kind = detectShellKind(shell);
+  const name = path.basename((shell || '').replace(/\\/g, '/'), '.exe').toLowerCase();
+  const then = command ? command.trim() : '';
+
+  if (kind === 'pwsh') {
+    const cd = `Set-Location -LiteralPath '${dir.replace(/'/g, "''")}'`;
+    return `${then ? `${cd}; if ($?) { ${then} }` : cd}\r`;
+  }
+  if (name === 'cmd') {
+    const cd = `cd /d "${dir}"`;
+    return `${then ? `${cd} && ${then}` : cd}\r`;
+  }
+
+  let target = dir;
+  if (process.platform === 'win32') target = toMsysPath(dir);
+  const cd = kind === 'fish'
+    ? `cd '${target.replace(/['\\]/g, '\\$&')}'`
+    : `cd ${quotePosix(target)}`;
+  return `${then ? `${cd} && ${then}` : cd}\r`;
+};
+
+module.exports = {
+  SCRIPTS_DIR,
+  SESSION_LABEL_OSC,
+  detectShellKind,
+  getScriptPath,
+  getInjectCommand,
+  getSetupInstructions,
+  getInstructionsCommand,
+  getStartupCommand,
+};
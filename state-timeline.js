@@ -0,0 +1,103 @@
+// Per-session state timeline for hyper-session-sidebar
+// Records every change of a session's activityType, or of its claudeState while
+// an assistant runs, with its time (activity under an assistant is not kept,
+// see recordStateChange). The most recent changes are kept for the timeline
+// strip; time spent in each state is added up for the whole life of the session.
+
+const HISTORY_LIMIT = 200;  // Transitions kept per session (totals are not limited)
+
+/**
+ * State a timeline entry is shown as: the assistant state in AI sessions,
+ * otherwise the shell activity
+ * @param {Object} entry - { activityType, claudeState }
+ * @returns {string}
+ */
+const getTimelineState = (entry) => entry.claudeState || entry.activityType || 'idle';
+
+/**
+ * Record the session's current state if the state shown for it changed since
+ * the last entry. Output/idle flips under one assistant state are not kept, so
+ * a busy agent cannot flush HISTORY_LIMIT; an entry's activityType is the
+ * activity when it was written
+ * Cheap enough to call after anything that may have changed the state
+ * @param {Object} session - Session with stateHistory and stateTotals
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - true if a transition was recorded
+ */
+const recordStateChange = (session, now = Date.now()) => {
+  const history = session.stateHistory;
+  const last = history[history.length - 1];
+  const activityType = session.activityType || 'idle';
+  const claudeState = session.claudeState || null;
+
+  // assistantId picks the state colors; plain shell activity has none
+  const assistantId = claudeState ? (session.aiAssistantId || 'claude') : null;
+  const entry = { time: now, activityType, claudeState, assistantId };
+  entry.state = getTimelineState(entry);
+  if (last && last.state === entry.state && last.assistantId === entry.assistantId) return false;
+
+  if (last) {
+    session.stateTotals[last.state] = (session.stateTotals[last.state] || 0) + Math.max(0, now - last.time);
+  }
+  history.push(entry);
+  if (history.length > HISTORY_LIMIT) {
+    history.splice(0, history.length - HISTORY_LIMIT);
+  }
+  return true;
+};
+
+/**
+ * Total time spent in each state, including the current one
+ * @param {Object} session - Session data
+ * @param {number} now - Current timestamp
+ * @returns {Object[]} - [{ state, duration }], longest first
+ */
+const getTimeInState = (session, now = Date.now()) => {
+  const totals = { ...(session.stateTotals || {}) };
+  const history = session.stateHistory || [];
+  const last = history[history.length - 1];
+  if (last) {
+    totals[last.state] = (totals[last.state] || 0) + Math.max(0, now - last.time);
+  }
+  return Object.keys(totals)
+    .map(state => ({ state, duration: totals[state] }))
+    .filter(total => total.duration > 0)
+    .sort((a, b) => b.duration - a.duration);
+};
+
+/**
+ * Timeline segments overlapping the last `span` ms
+ * Neighbouring entries shown as the same state are merged
+ * @param {Object} session - Session data
+ * @param {number} now - Current timestamp
+ * @param {number} span - How far back to look (ms)
+ * @returns {Object[]} - [{ state, assistantId, start, end }], oldest first
+ */
+const getTimelineSegments = (session, now, span) => {
+  const history = session.stateHistory || [];
+  const since = now - span;
+  const segments = [];
+
+  history.forEach((entry, index) => {
+    const next = history[index + 1];
+    const end = next ? next.time : now;
+    if (end <= since) return;
+
+    const start = Math.max(entry.time, since);
+    const previous = segments[segments.length - 1];
+    if (previous && previous.state === entry.state && previous.assistantId === entry.assistantId) {
+      previous.end = end;
+    } else {
+      segments.push({ state: entry.state, assistantId: entry.assistantId, start, end });
+    }
+  });
+  return segments;
+};
+
+module.exports = {
+  HISTORY_LIMIT,
+  getTimelineState,
+  recordStateChange,
+  getTimeInState,
+  getTimelineSegments,
+};
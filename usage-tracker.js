@@ -0,0 +1,188 @@
+// Token and cost tracking for hyper-session-sidebar
+// Keeps running totals per AI session and per calendar day. Usage arrives as
+// increments (Claude transcript messages) or as cumulative totals printed by
+// the assistant (Claude's /cost, Aider's "Cost: ... session" line).
+
+// USD per million tokens: [input, output, cache write, cache read]
+// Estimates from public list prices; the first matching pattern wins
+const MODEL_PRICES = [
+  { pattern: /opus-4-[5-9]|opus-[5-9]/, prices: [5, 25, 6.25, 0.5] },
+  { pattern: /opus/, prices: [15, 75, 18.75, 1.5] },
+  { pattern: /haiku-4|haiku-[5-9]/, prices: [1, 5, 1.25, 0.1] },
+  { pattern: /haiku/, prices: [0.8, 4, 1, 0.08] },
+  { pattern: /sonnet/, prices: [3, 15, 3.75, 0.3] },
+];
+const DEFAULT_PRICES = [3, 15, 3.75, 0.3];
+
+// Claude Code `/cost`: "Total cost: $0.1234"
+const CLAUDE_COST_REGEX = /Total cost:\s*\$([\d,]+(?:\.\d+)?)/;
+// Aider: "Tokens: 4.1k sent, 245 received. Cost: $0.01 message, $0.05 session."
+const AIDER_USAGE_REGEX = /Tokens:\s*(.+?)\.\s*Cost:\s*\$([\d.]+)\s*message,\s*\$([\d.]+)\s*session/;
+const AIDER_TOKENS_REGEX = /([\d.]+)([km]?)\s+(sent|received)/gi;
+
+// Runtime state
+const sessionUsage = {};  // uid -> { sources: { [name]: { tokens, cost, base } }, tokens, cost }
+const dailyUsage = {};    // 'YYYY-MM-DD' -> { tokens, cost }
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} time
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const getDayKey = (time) => {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Estimate the cost of one API call from its token usage
+ * @param {string} model - Model id (e.g. 'claude-sonnet-4-5-20250929')
+ * @param {Object} usage - { input, output, cacheCreation, cacheRead }
+ * @returns {number} - USD
+ */
+const estimateCost = (model, usage) => {
+  const match = MODEL_PRICES.find(entry => entry.pattern.test(model || ''));
+  const [input, output, cacheWrite, cacheRead] = match ? match.prices : DEFAULT_PRICES;
+  return ((usage.input || 0) * input +
+    (usage.output || 0) * output +
+    (usage.cacheCreation || 0) * cacheWrite +
+    (usage.cacheRead || 0) * cacheRead) / 1000000;
+};
+
+// Parse "4.1k" / "245" / "1.2m" token counts
+const parseTokenCount = (value, suffix) => {
+  const multiplier = { k: 1000, m: 1000000 }[(suffix || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(value) * multiplier);
+};
+
+/**
+ * Parse a line of assistant output that reports usage
+ * @param {string} line - Output line without escape sequences
+ * @returns {Object|null} - { source, tokens, cost } (cost is the running total) or null
+ */
+const parseUsageLine = (line) => {
+  const aider = line.match(AIDER_USAGE_REGEX);
+  if (aider) {
+    let tokens = 0;
+    aider[1].replace(AIDER_TOKENS_REGEX, (all, value, suffix) => {
+      tokens += parseTokenCount(value, suffix);
+      return all;
+    });
+    // Tokens are per message, cost is the running session total
+    return { source: 'aider', tokens, cost: parseFloat(aider[3]) };
+  }
+
+  const claude = line.match(CLAUDE_COST_REGEX);
+  if (claude) {
+    return { source: 'claude-cost', tokens: null, cost: parseFloat(claude[1].replace(/,/g, '')) };
+  }
+
+  return null;
+};
+
+const getSessionRecord = (uid) => {
+  if (!sessionUsage[uid]) {
+    sessionUsage[uid] = { sources: {}, tokens: 0, cost: 0 };
+  }
+  return sessionUsage[uid];
+};
+
+const getSource = (record, name) => {
+  if (!record.sources[name]) {
+    record.sources[name] = { tokens: 0, cost: 0, base: 0 };
+  }
+  return record.sources[name];
+};
+
+// Sources describe the same spend in different ways, so a session's totals
+// are the largest source's; whatever they grew by is added to the day
+const updateSessionTotals = (record, time) => {
+  const sources = Object.keys(record.sources).map(name => record.sources[name]);
+  const cost = Math.max(record.cost, ...sources.map(source => source.cost));
+  const tokens = Math.max(record.tokens, ...sources.map(source => source.tokens));
+  if (cost === record.cost && tokens === record.tokens) return;
+
+  const day = getDayKey(time);
+  if (!dailyUsage[day]) dailyUsage[day] = { tokens: 0, cost: 0 };
+  dailyUsage[day].cost += cost - record.cost;
+  dailyUsage[day].tokens += tokens - record.tokens;
+
+  record.cost = cost;
+  record.tokens = tokens;
+};
+
+/**
+ * Add usage to a session (e.g. one transcript message)
+ * @param {string} uid - Session uid
+ * @param {string} source - Where the numbers come from ('transcript', ...)
+ * @param {Object} usage - { tokens, cost }
+ * @param {number} time - When the usage happened (decides the day)
+ */
+const addUsage = (uid, source, { tokens, cost }, time) => {
+  const record = getSessionRecord(uid);
+  const entry = getSource(record, source);
+  entry.tokens += tokens || 0;
+  entry.cost += cost || 0;
+  updateSessionTotals(record, time);
+};
+
+/**
+ * Report a cumulative total printed by the assistant
+ * A total lower than the last one means the assistant started a new
+ * conversation, so the previous total is kept as a base
+ * @param {string} uid - Session uid
+ * @param {string} source - 'claude-cost' | 'aider'
+ * @param {Object} usage - { cost: running total, tokens: increment or null }
+ * @param {number} time - When the line was printed
+ */
+const reportTotal = (uid, source, { tokens, cost }, time) => {
+  const record = getSessionRecord(uid);
+  const entry = getSource(record, source);
+  if (entry.base + cost < entry.cost) {
+    entry.base = entry.cost;
+  }
+  entry.cost = entry.base + cost;
+  entry.tokens += tokens || 0;
+  updateSessionTotals(record, time);
+};
+
+/**
+ * Running totals for a session
+ * @param {string} uid - Session uid
+ * @returns {Object|null} - { tokens, cost } or null without usage
+ */
+const getSessionUsage = (uid) => {
+  const record = sessionUsage[uid];
+  return record ? { tokens: record.tokens, cost: record.cost } : null;
+};
+
+/**
+ * Totals for one day across all sessions (including closed ones)
+ * @param {number} [time] - Any time on that day (defaults to now)
+ * @returns {Object} - { tokens, cost }
+ */
+const getDailyUsage = (time = Date.now()) => {
+  const day = dailyUsage[getDayKey(time)];
+  return day ? { tokens: day.tokens, cost: day.cost } : { tokens: 0, cost: 0 };
+};
+
+/**
+ * Forget a closed session (its spend stays in the daily totals)
+ * @param {string} uid - Session uid
+ */
+const forgetSession = (uid) => {
+  delete sessionUsage[uid];
+};
+
+module.exports = {
+  MODEL_PRICES,
+  getDayKey,
+  estimateCost,
+  parseUsageLine,
+  addUsage,
+  reportTotal,
+  getSessionUsage,
+  getDailyUsage,
+  forgetSession,
+};
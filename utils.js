@@ -18,6 +18,22 @@ try {
 // Legacy alias
 const claudeDetection = aiDetection;
 
+// Import state timeline module
+let stateTimeline;
+try {
+  stateTimeline = require('./state-timeline');
+} catch (e) {
+  stateTimeline = { getTimeInState: () => [], getTimelineSegments: () => [] };
+}
+
+// Import output rate module
+let outputRate;
+try {
+  outputRate = require('./output-rate');
+} catch (e) {
+  outputRate = { RATE_WINDOW: 300, getRateSeries: () => [], getRateStats: () => ({ current: 0, peak: 0, total: 0 }) };
+}
+
 // Import icon library
 let icons;
 try {
@@ -41,9 +57,57 @@ const shellIcons = {
   default: { icon: 'terminal', color: '#89b4fa' },
 };
 
+// Foreground process icon mapping (from session.foregroundProcess.name)
+// Each entry: { icon: 'lucide-icon-name', color: '#hex' }
+const processIcons = {
+  vim: { icon: 'file-code', color: '#019833' },
+  nvim: { icon: 'file-code', color: '#57A143' },
+  vi: { icon: 'file-code', color: '#019833' },
+  nano: { icon: 'file-code', color: '#cdd6f4' },
+  emacs: { icon: 'file-code', color: '#7F5AB6' },
+  node: shellIcons.node,
+  python: shellIcons.python,
+  ruby: shellIcons.ruby,
+  ssh: { icon: 'server', color: '#94e2d5' },
+  mosh: { icon: 'server', color: '#94e2d5' },
+  docker: { icon: 'container', color: '#2496ED' },
+  podman: { icon: 'container', color: '#892CA0' },
+  kubectl: { icon: 'container', color: '#326CE5' },
+  git: { icon: 'git-branch', color: '#F05032' },
+  htop: { icon: 'activity', color: '#a6e3a1' },
+  top: { icon: 'activity', color: '#a6e3a1' },
+  btop: { icon: 'activity', color: '#a6e3a1' },
+  less: { icon: 'file', color: '#cdd6f4' },
+  man: { icon: 'file', color: '#cdd6f4' },
+};
+
+// Look up the icon for a foreground process (ignores the shell itself)
+const getProcessIcon = (proc) => {
+  if (!proc || proc.isShell || !proc.name) return null;
+  const name = proc.name.toLowerCase();
+  // Versioned interpreters (python3.12, node18) share the base icon
+  return processIcons[name] || processIcons[name.replace(/[\d.]+$/, '')] || null;
+};
+
 // Claude orange color (matches the Claude crab)
 const CLAUDE_ORANGE = '#f5a623';
 
+// Definition of a session's AI assistant (Claude for legacy detections)
+const getAssistant = (session) => {
+  const map = aiDetection.ASSISTANT_MAP || {};
+  return map[session.aiAssistantId || 'claude'] || null;
+};
+
+/**
+ * Short display name of a session's AI assistant ("Claude", "Aider", ...)
+ * @param {Object} session - Session data
+ * @returns {string}
+ */
+const getAssistantName = (session) => {
+  const assistant = getAssistant(session);
+  return assistant ? (assistant.shortName || assistant.name) : 'Claude';
+};
+
 // Helper to create icon info with SVG
 const makeIconInfo = (iconDef, size = 14) => {
   const svg = icons.getIconSvg ? icons.getIconSvg(iconDef.icon, size) : '';
@@ -57,12 +121,19 @@ const makeIconInfo = (iconDef, size = 14) => {
 
 // Get shell icon and color based on shell path, title, or AI assistant detection
 const getShellInfo = (session, size = 14) => {
-  // Check if this is an AI assistant session - show bot icon with orange color
+  // AI assistant sessions show the assistant's own icon and color
   const isAI = session.claudeDetected || session.aiAssistantId ||
     (aiDetection.isAIAssistantSession && aiDetection.isAIAssistantSession(session));
 
   if (isAI) {
-    return makeIconInfo({ icon: 'bot', color: CLAUDE_ORANGE }, size);
+    const assistant = getAssistant(session);
+    return makeIconInfo((assistant && assistant.sidebarIcon) || { icon: 'bot', color: CLAUDE_ORANGE }, size);
+  }
+
+  // Check the resolved foreground process (vim, ssh, docker, ...)
+  const processIcon = getProcessIcon(session.foregroundProcess);
+  if (processIcon) {
+    return makeIconInfo(processIcon, size);
   }
 
   const shell = (session.shell || '').toLowerCase();
@@ -105,8 +176,15 @@ const getShellInfo = (session, size = 14) => {
   return makeIconInfo(shellIcons.default, size);
 };
 
-// Extract process name from shell path or title
+// Extract process name from the session label, foreground process, shell path or title
 const getProcessName = (session) => {
+  if (session.label) {
+    return session.label;
+  }
+  const proc = session.foregroundProcess;
+  if (proc && !proc.isShell && proc.name) {
+    return proc.name;
+  }
   if (session.title && session.title.length > 0) {
     const title = session.title;
     if (title.includes(' - ')) {
@@ -219,6 +297,33 @@ const extractPathFromTitle = (title) => {
   return '';
 };
 
+/**
+ * Summarize a pending permission dialog ("Bash: npm test")
+ * @param {Object} pendingApproval - session.pendingApproval
+ * @returns {string}
+ */
+const getApprovalSummary = (pendingApproval) => {
+  if (!pendingApproval) return '';
+  const { tool, subject } = pendingApproval;
+  if (tool && subject) return `${tool}: ${subject}`;
+  return tool || subject || pendingApproval.question || '';
+};
+
+/**
+ * Shorten a permission dialog option for a quick-reply button
+ * "Yes, and don't ask again for npm test commands in /x" -> "Yes, don't ask again"
+ * "No, and tell Claude what to do differently (esc)" -> "No"
+ * @param {string} label - Full option label
+ * @returns {string}
+ */
+const getReplyLabel = (label) => {
+  const text = (label || '').replace(/\s*\([^)]*\)\s*$/, '');
+  const [first] = text.split(',');
+  const grant = text.match(/don't ask again|allow all edits|allow all/i);
+  if (grant && /^yes/i.test(first)) return `${first}, ${grant[0]}`;
+  return first.trim();
+};
+
 /**
  * Get activity glyph info for a session
  * Returns info for rendering the activity indicator dot/icon
@@ -246,9 +351,19 @@ const getActivityGlyph = (session) => {
       : aiDetection.getClaudeStateInfo(session.claudeState);
 
     // Get assistant name for display
-    const assistantName = aiDetection.ASSISTANT_MAP && aiDetection.ASSISTANT_MAP[assistantId]
-      ? aiDetection.ASSISTANT_MAP[assistantId].name
-      : 'Claude';
+    const assistant = getAssistant(session);
+    const assistantName = assistant ? assistant.name : 'Claude';
+
+    // Blocked on a permission dialog - distinct attention-grabbing glyph
+    if (session.claudeState === 'needs-approval') {
+      const summary = getApprovalSummary(session.pendingApproval);
+      return {
+        icon: '!',
+        className: 'activity-glyph claude needs-approval',
+        title: `${assistantName}: ${stateInfo.label}${summary ? ` - ${summary}` : ''}`,
+        style: {},
+      };
+    }
 
     // Use star icon (not robot - robot is for shell icon)
     return {
@@ -307,6 +422,314 @@ const getActivityGlyph = (session) => {
   };
 };
 
+/**
+ * Format a duration for compact display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. '850ms', '14s', '2m 05s', '1h 03m'
+ */
+const formatDuration = (ms) => {
+  if (ms == null || ms < 0) return '';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+
+  const totalSeconds = Math.round(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+
+  const minutes = Math.floor(totalSeconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const TIMELINE_SPAN = 30 * 60 * 1000;  // The timeline strip covers the last 30 minutes
+
+// 'needs-approval' -> 'needs approval'
+const getStateLabel = state => state.replace(/-/g, ' ');
+
+/**
+ * Timeline strip and time-in-state totals for a session card
+ * @param {Object} session - Session data
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - { segments: [{ key, left, width, color, className }], title }
+ *   (left/width in percent; assistant states get a color, shell activity a className),
+ *   or null before anything was recorded
+ */
+const getStateTimeline = (session, now = Date.now()) => {
+  const history = session.stateHistory || [];
+  if (history.length === 0) return null;
+
+  // A young session spreads what it has over the whole strip
+  const span = Math.max(1, Math.min(TIMELINE_SPAN, now - history[0].time));
+  const since = now - span;
+  const segments = stateTimeline.getTimelineSegments(session, now, span).map(segment => ({
+    key: segment.start,
+    left: ((segment.start - since) / span) * 100,
+    width: ((segment.end - segment.start) / span) * 100,
+    color: segment.assistantId ? aiDetection.getAssistantStateInfo(segment.state, segment.assistantId).color : null,
+    className: segment.assistantId ? null : `activity-${segment.state}`,
+  }));
+
+  const title = stateTimeline.getTimeInState(session, now)
+    .map(total => `${getStateLabel(total.state)} ${formatDuration(total.duration)}`)
+    .join(', ');
+  return { segments, title };
+};
+
+/**
+ * Get command status from shell integration (OSC 133) for the status bar
+ * @param {Object} session - Session data
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - { text, className, title } or null without shell integration
+ */
+const getCommandStatus = (session, now = Date.now()) => {
+  if (!session || !session.shellIntegration) return null;
+
+  const current = session.currentCommand;
+  if (current) {
+    const label = current.command ? current.command.split(/\s+/)[0] : 'command';
+    return {
+      text: `running ${label} (${formatDuration(now - current.startTime)})`,
+      className: 'command-running',
+      title: current.command || null,
+    };
+  }
+
+  const last = session.lastCommand;
+  if (!last) return null;
+
+  const duration = formatDuration(last.duration);
+  if (last.exitCode !== null && last.exitCode !== 0) {
+    return {
+      text: `last command failed (exit ${last.exitCode}, ${duration})`,
+      className: 'command-failed',
+      title: last.command || null,
+    };
+  }
+
+  // Without a D exit status (plain prompt, or a D mark with no code) the
+  // outcome is unknown, so it isn't reported as a success
+  if (last.exitCode === null) {
+    return {
+      text: `last command finished (${duration})`,
+      className: 'command-finished',
+      title: last.command || null,
+    };
+  }
+
+  return {
+    text: `last command ok (${duration})`,
+    className: 'command-succeeded',
+    title: last.command || null,
+  };
+};
+
+// Labels for git operations in progress
+const gitOperationLabels = {
+  'rebase': 'REBASING',
+  'am': 'AM',
+  'merge': 'MERGING',
+  'cherry-pick': 'CHERRY-PICKING',
+  'revert': 'REVERTING',
+  'bisect': 'BISECTING',
+};
+
+/**
+ * Get compact git status badges for the git row
+ * Only non-zero counts are returned, so a clean in-sync repo has no badges
+ * @param {Object} git - Session git status (see git-status.js)
+ * @returns {Array<{ key: string, text: string, className: string }>}
+ */
+const getGitBadges = (git) => {
+  if (!git || !git.branch) return [];
+
+  const badges = [];
+  if (git.operation) {
+    badges.push({ key: 'operation', text: gitOperationLabels[git.operation] || git.operation.toUpperCase(), className: 'git-operation' });
+  }
+  if (git.ahead > 0) badges.push({ key: 'ahead', text: `\u2191${git.ahead}`, className: 'git-ahead' });
+  if (git.behind > 0) badges.push({ key: 'behind', text: `\u2193${git.behind}`, className: 'git-behind' });
+  if (git.conflicted > 0) badges.push({ key: 'conflicted', text: `!${git.conflicted}`, className: 'git-conflicted' });
+  if (git.staged > 0) badges.push({ key: 'staged', text: `+${git.staged}`, className: 'git-staged' });
+  if (git.modified > 0) badges.push({ key: 'modified', text: `~${git.modified}`, className: 'git-modified' });
+  if (git.untracked > 0) badges.push({ key: 'untracked', text: `?${git.untracked}`, className: 'git-untracked' });
+  if (git.stash > 0) badges.push({ key: 'stash', text: `\u2261${git.stash}`, className: 'git-stash' });
+  return badges;
+};
+
+/**
+ * Get a multi-line tooltip describing the git status
+ * @param {Object} git - Session git status (see git-status.js)
+ * @returns {string}
+ */
+const getGitTitle = (git) => {
+  if (!git || !git.branch) return '';
+
+  const lines = [git.detached ? `HEAD detached at ${git.branch}` : `Branch: ${git.branch}`];
+  if (git.upstream) {
+    lines.push(`Upstream: ${git.upstream} (${git.ahead} ahead, ${git.behind} behind)`);
+  } else if (!git.detached) {
+    lines.push('No upstream');
+  }
+  if (git.operation) lines.push(`In progress: ${git.operation}`);
+
+  const counts = [
+    [git.conflicted, 'conflicted'],
+    [git.staged, 'staged'],
+    [git.modified, 'modified'],
+    [git.untracked, 'untracked'],
+    [git.stash, git.stash === 1 ? 'stash' : 'stashes'],
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  lines.push(counts.length > 0 ? counts.join(', ') : 'Working tree clean');
+
+  return lines.join('\n');
+};
+
+/**
+ * Get the linked-worktree label for the git row
+ * @param {Object} git - Session git status (see git-status.js)
+ * @returns {Object|null} - { text, title } or null outside a linked worktree
+ */
+const getWorktreeLabel = (git) => {
+  if (!git || !git.worktree) return null;
+  const repoName = path.basename(git.worktree.mainRoot);
+  return {
+    text: `${git.worktree.name} @ ${repoName}`,
+    title: `Worktree ${git.worktree.name} (${git.root})\nMain checkout: ${git.worktree.mainRoot}`,
+  };
+};
+
+/**
+ * Format a token count for compact display
+ * @param {number} count - Token count
+ * @returns {string} - e.g. '950', '12.3k', '1.2M'
+ */
+const formatTokens = (count) => {
+  if (!count) return '0';
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k`;
+  return `${(count / 1000000).toFixed(1)}M`;
+};
+
+/**
+ * Format an output rate for compact display
+ * @param {number} rate - Bytes per second
+ * @returns {string} - e.g. '0 B/s', '640 B/s', '12.3 KB/s', '1.2 MB/s'
+ */
+const formatRate = (rate) => {
+  if (rate < 1024) return `${Math.round(rate)} B/s`;
+  if (rate < 1024 * 1024) return `${(rate / 1024).toFixed(rate < 10 * 1024 ? 1 : 0)} KB/s`;
+  return `${(rate / (1024 * 1024)).toFixed(1)} MB/s`;
+};
+
+const SPARKLINE_POINTS = 60;     // One point per 5 seconds of the 5 minute window
+const SPARKLINE_MIN_SCALE = 1024; // Bytes/s at full height at least, so a few prompts stay flat
+
+/**
+ * Output rate sparkline for a session card
+ * @param {Object} session - Session data
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - { svg, title } or null without output in the window
+ */
+const getOutputSparkline = (session, now = Date.now()) => {
+  if (!session.outputRate) return null;
+  const stats = outputRate.getRateStats(session.outputRate, now);
+  if (stats.total === 0) return null;
+
+  const series = outputRate.getRateSeries(session.outputRate, now, SPARKLINE_POINTS);
+  const minutes = Math.round(outputRate.RATE_WINDOW / 60);
+  return {
+    svg: icons.getSparklineSvg ? icons.getSparklineSvg(series, 40, 10, { max: SPARKLINE_MIN_SCALE }) : '',
+    title: `Output: ${formatRate(stats.current)} now, peak ${formatRate(stats.peak)} (last ${minutes}m)`,
+  };
+};
+
+/**
+ * Format an estimated cost in USD
+ * @param {number} cost - USD
+ * @returns {string} - e.g. '$0.00', '<$0.01', '$0.42', '$140'
+ */
+const formatCost = (cost) => {
+  if (!cost) return '$0.00';
+  if (cost < 0.01) return '<$0.01';
+  if (cost >= 100) return `$${Math.round(cost)}`;
+  return `$${cost.toFixed(2)}`;
+};
+
+/**
+ * Get the rows of a session's expanded transcript section
+ * @param {Object} transcript - Transcript summary (see claude-transcripts.js)
+ * @returns {Object[]} - [{ key, label, value, title }]
+ */
+const getTranscriptRows = (transcript) => {
+  if (!transcript) return [];
+  const rows = [];
+
+  if (transcript.model) {
+    rows.push({ key: 'model', label: 'Model', value: transcript.model, title: transcript.model });
+  }
+
+  rows.push({
+    key: 'tools',
+    label: 'Tools',
+    value: `${transcript.toolCalls} call${transcript.toolCalls === 1 ? '' : 's'}`,
+    title: null,
+  });
+
+  const usage = transcript.usage;
+  if (usage && (usage.input || usage.output || usage.cacheRead || usage.cacheCreation)) {
+    const input = usage.input + usage.cacheCreation;
+    rows.push({
+      key: 'tokens',
+      label: 'Tokens',
+      value: `${formatTokens(input)} in · ${formatTokens(usage.output)} out · ${formatTokens(usage.cacheRead)} cached`,
+      title: `Input: ${usage.input}\nCache writes: ${usage.cacheCreation}\nCache reads: ${usage.cacheRead}\nOutput: ${usage.output}`,
+    });
+  }
+
+  if (transcript.lastMessage) {
+    rows.push({ key: 'last', label: 'Last', value: transcript.lastMessage, title: transcript.lastMessage });
+  }
+
+  return rows;
+};
+
+// Agent board groups in display order (sessions without a state count as idle)
+const AGENT_BOARD_GROUPS = [
+  { state: 'needs-approval', label: 'Needs approval' },
+  { state: 'waiting', label: 'Waiting for you' },
+  { state: 'working', label: 'Working' },
+  { state: 'thinking', label: 'Thinking' },
+  { state: 'idle', label: 'Idle' },
+];
+
+/**
+ * When a session entered its current AI state
+ * @param {Object} session - Session data
+ * @returns {number|null}
+ */
+const getStateSince = (session) => session.claudeLastStateChange || session.aiStartTime || null;
+
+/**
+ * Group AI assistant sessions by state for the agent board
+ * @param {Array} sessionList - [[uid, session], ...] in tab order
+ * @returns {Object[]} - Non-empty groups [{ state, label, items: [{ uid, session, index }] }],
+ *   longest in their state first
+ */
+const groupAgentSessions = (sessionList) => {
+  const groups = AGENT_BOARD_GROUPS.map(group => ({ ...group, items: [] }));
+  const idle = groups[groups.length - 1];
+
+  sessionList.forEach(([uid, session], index) => {
+    if (!aiDetection.isAIAssistantSession(session)) return;
+    const group = groups.find(g => g.state === session.claudeState) || idle;
+    group.items.push({ uid, session, index });
+  });
+
+  groups.forEach((group) => {
+    group.items.sort((a, b) => (getStateSince(a.session) || 0) - (getStateSince(b.session) || 0));
+  });
+  return groups.filter(group => group.items.length > 0);
+};
+
 /**
  * Get activity type info for display
  * @param {string} activityType - Activity type ('idle', 'output', 'typing', 'command')
@@ -328,13 +751,32 @@ const getActivityTypeInfo = (activityType) => {
 
 module.exports = {
   shellIcons,
+  processIcons,
   icons,
   makeIconInfo,
+  getProcessIcon,
   getShellInfo,
+  getAssistantName,
   getProcessName,
   shortenPath,
   getShellIconForLauncher,
   extractPathFromTitle,
   getActivityGlyph,
+  getApprovalSummary,
+  getReplyLabel,
   getActivityTypeInfo,
+  formatDuration,
+  getCommandStatus,
+  getGitBadges,
+  getGitTitle,
+  getWorktreeLabel,
+  formatTokens,
+  formatCost,
+  getTranscriptRows,
+  AGENT_BOARD_GROUPS,
+  getStateSince,
+  groupAgentSessions,
+  getStateTimeline,
+  formatRate,
+  getOutputSparkline,
 };